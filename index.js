@@ -1,482 +1,1832 @@
+const crypto = require('crypto');
 const express = require('express');
-const { Pool } = require('pg');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-
-const app = express();
 const http = require('http');
-const server = http.createServer(app);
+const proxyaddr = require('proxy-addr');
 const { Server } = require("socket.io");
-const io = new Server(server, {
-    cors: {
-        origin: "*",
-        methods: ["GET", "POST"]
+const { createStorage } = require('./storage');
+const { createMailboxAuth, isValidHash, parsePublicKey, verifySignature, bearerToken } = require('./lib/auth');
+const { createIdentityLog, verifyChain, rotationMessage, backupMessage } = require('./lib/identitylog');
+const { verifyPeerSignature } = require('./lib/peerid');
+const { createDeliveryTracker } = require('./lib/delivery');
+const { createBus } = require('./lib/bus');
+const { createCluster } = require('./lib/cluster');
+const { createRetention } = require('./lib/retention');
+const { createRateLimits, loadLimits } = require('./lib/ratelimit');
+const { createAdminRouter } = require('./lib/admin');
+const { createGroupRouter } = require('./lib/groups');
+const { createBlobStore } = require('./lib/blobs');
+const { createAttachmentRouter } = require('./lib/attachments');
+const { createPush, createPushRouter } = require('./lib/push');
+const { createFederation } = require('./lib/federation');
+const { createCalls } = require('./lib/calls');
+const { createMetrics } = require('./lib/metrics');
+
+// =============================================
+// RELAY FACTORY
+// =============================================
+// Everything a relay needs is built per call, so several relays can run in one
+// process (tests, or embedded next to other services). Nothing listens or
+// schedules work until start(). Options (env fallbacks in parentheses):
+//   storage            a storage backend; default createStorage() (STORAGE, DATABASE_URL)
+//   port               listen port, 0 for any free one (PORT, default 3000)
+//   corsOrigins        '*' or a list of allowed origins (CORS_ORIGINS, comma-separated)
+//   retention          { sweepMs, defaultTtl, maxTtl } (RETENTION_SWEEP_MS, MESSAGE_DEFAULT_TTL, MESSAGE_MAX_TTL)
+//   adminToken         enables /admin (ADMIN_TOKEN)
+//   mailboxAuth        'optional' or 'strict' (MAILBOX_AUTH, default optional)
+//   authSecret         key for session tokens, the same on every instance (AUTH_SECRET; else kept in storage)
+//   rateLimits         rule overrides like RATE_LIMITS, or false for no limits (RATE_LIMITS)
+//   federation         { domain, privateKey, peers, insecure } (RELAY_DOMAIN, FEDERATION_PRIVATE_KEY,
+//                      FEDERATION_PEERS, FEDERATION_INSECURE); domain defaults to localhost:<bound port>
+//   push               { adapters, webhook: { hosts, allowHttp }, vapid: { publicKey, privateKey, subject } }
+//                      (PUSH_ADAPTERS, PUSH_WEBHOOK_HOSTS, PUSH_ALLOW_HTTP, VAPID_*)
+//   blobs              { driver, dir } for attachment bytes (BLOB_STORE, BLOB_DIR)
+//   bus                share a fan-out bus between relays in one process; the caller starts and closes it
+//   onMessageStored    ({ id, toHash, toPeer, groupId, expiresAt, timestamp, live }) after a message is queued
+//   onDelivered        ({ id, toHash, toPeer, groupId, deliveredAt }) when a message first reaches its recipient
+//   shutdownDeadlineMs how long stop() may drain before cutting work off (SHUTDOWN_DEADLINE_MS, default 10 s)
+function createRelay({
+    storage: baseStorage = null,
+    port = process.env.PORT || 3000,
+    corsOrigins = process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',').map(o => o.trim()) : '*',
+    retention: retentionOptions = {},
+    adminToken = process.env.ADMIN_TOKEN,
+    mailboxAuth: mailboxAuthMode = process.env.MAILBOX_AUTH || 'optional',
+    authSecret = process.env.AUTH_SECRET,
+    rateLimits: rateLimitOverrides,
+    federation: federationOptions = {},
+    push: pushOptions = {},
+    blobs: blobOptions = {},
+    bus: sharedBus = null,
+    onMessageStored = null,
+    onDelivered = null,
+    shutdownDeadlineMs = Number(process.env.SHUTDOWN_DEADLINE_MS) || 10 * 1000
+} = {}) {
+    const app = express();
+    const server = http.createServer(app);
+    const io = new Server(server, {
+        cors: {
+            origin: corsOrigins,
+            methods: ["GET", "POST"]
+        }
+    });
+
+    // Retention & quotas. TTLs are in seconds; a sender may ask for less than the max, never more.
+    const MESSAGE_DEFAULT_TTL = retentionOptions.defaultTtl || Number(process.env.MESSAGE_DEFAULT_TTL) || 24 * 60 * 60;
+    const MESSAGE_MAX_TTL = retentionOptions.maxTtl || Number(process.env.MESSAGE_MAX_TTL) || 7 * 24 * 60 * 60;
+    const MAILBOX_MAX_MESSAGES = Number(process.env.MAILBOX_MAX_MESSAGES) || 1000;
+    const MAILBOX_MAX_BYTES = Number(process.env.MAILBOX_MAX_BYTES) || 100 * 1024 * 1024;
+
+    // Client IPs come from X-Forwarded-For behind the platform proxy (Heroku / Render).
+    // Set TRUST_PROXY=false when exposed directly, so the header can't be spoofed.
+    const TRUST_PROXY = process.env.TRUST_PROXY === 'false' ? false : (Number(process.env.TRUST_PROXY) || 1);
+    app.set('trust proxy', TRUST_PROXY);
+
+    const rateLimits = createRateLimits({
+        limits: loadLimits(rateLimitOverrides),
+        callerOf: req => mailboxAuth.sessionHash(bearerToken(req))
+    });
+
+    const metrics = createMetrics();
+
+    app.use(cors({ origin: corsOrigins }));
+
+    // In-flight HTTP requests and socket writes, so a shutdown can wait for them.
+    // Once draining, new requests and socket connections are turned away.
+    let draining = false;
+    let inFlightRequests = 0;
+    const inFlightWork = new Set();
+
+    app.use((req, res, next) => {
+        if (draining) {
+            res.set({ Connection: 'close', 'Retry-After': '5' });
+            return res.status(503).json({ error: "Relay is shutting down" });
+        }
+        inFlightRequests++;
+        res.once('close', () => { inFlightRequests--; });
+        next();
+    });
+
+    function trackWork(promise) {
+        inFlightWork.add(promise);
+        promise.catch(() => {}).then(() => inFlightWork.delete(promise));
+        return promise;
     }
-});
 
-const PORT = process.env.PORT || 3000;
+    function tracked(handler) {
+        return (...args) => trackWork(handler(...args));
+    }
+    // Federation requests are signed over their exact bytes
+    app.use(bodyParser.json({
+        limit: '10mb',
+        verify: (req, res, buf) => {
+            if (req.originalUrl.startsWith('/federation/')) req.rawBody = buf;
+        }
+    }));
+    app.use(metrics.httpContext);
 
-app.use(cors());
-app.use(bodyParser.json({ limit: '10mb' }));
+    // =============================================
+    // DATABASE SETUP — pluggable storage (PostgreSQL / SQLite)
+    // =============================================
+    const storage = metrics.instrumentStorage(baseStorage || createStorage());
+    metrics.setQueueSource(ageBounds => storage.getQueueStats(ageBounds));
+    const mailboxAuth = createMailboxAuth({ storage, mode: mailboxAuthMode, secret: authSecret });
+    const identityLog = createIdentityLog({ storage });
+    const blobs = createBlobStore({ ...blobOptions, storage });
+    const push = createPush({
+        ...pushOptions,
+        storage,
+        onResult: (adapter, result) => metrics.pushNotifications.inc({ adapter, result })
+    });
 
-// =============================================
-// DATABASE SETUP — PostgreSQL (Supabase)
-// =============================================
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: { rejectUnauthorized: false }  // Required for Supabase/Render managed PG
-});
+    // Embedder hooks see events after the fact; a failing hook never affects delivery
+    function runHook(name, hook, event) {
+        if (!hook) return;
+        Promise.resolve()
+            .then(() => hook(event))
+            .catch(err => console.error(`${name} hook error:`, err.message));
+    }
 
-// Auto-create tables on startup
-async function initDB() {
-    try {
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS messages (
-                id TEXT PRIMARY KEY,
-                to_hash TEXT,
-                to_peer TEXT,
-                data TEXT NOT NULL,
-                timestamp BIGINT NOT NULL
-            )
-        `);
-        await pool.query(`CREATE INDEX IF NOT EXISTS idx_messages_to_hash ON messages(to_hash)`);
-        await pool.query(`CREATE INDEX IF NOT EXISTS idx_messages_to_peer ON messages(to_peer)`);
-
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS identities (
-                username TEXT PRIMARY KEY,
-                encrypted_blob TEXT,
-                peer_id TEXT,
-                display_name TEXT,
-                timestamp BIGINT
-            )
-        `);
-
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS peerid_history (
-                id SERIAL PRIMARY KEY,
-                username_hash TEXT NOT NULL,
-                display_name TEXT,
-                old_peer_id TEXT,
-                new_peer_id TEXT,
-                source TEXT,
-                timestamp BIGINT NOT NULL
-            )
-        `);
-
-        console.log('✅ PostgreSQL tables initialized');
-    } catch (err) {
-        console.error('❌ DB Init Error:', err.message);
-        process.exit(1);
+    // Auto-create tables on startup
+    async function initDB() {
+        try {
+            await storage.init();
+            await mailboxAuth.init();
+            await blobs.init();
+        } catch (err) {
+            console.error('❌ DB Init Error:', err.message);
+            throw err;
+        }
     }
-}
 
-// Cleanup old messages (>24h)
-setInterval(async () => {
-    try {
-        const cutoff = Date.now() - (24 * 60 * 60 * 1000);
-        const result = await pool.query('DELETE FROM messages WHERE timestamp < $1', [cutoff]);
-        if (result.rowCount > 0) console.log(`Cleaned up ${result.rowCount} old messages`);
-    } catch (err) {
-        console.error("Cleanup Error:", err.message);
+    // Cleanup expired messages and auth state (RETENTION_SWEEP_MS, default 10 min)
+    const retention = createRetention({ intervalMs: retentionOptions.sweepMs, onSweep: metrics.observeSweep });
+    retention.addTask('messages', now => storage.deleteExpiredMessages(now));
+    retention.addTask('attachments', async now => {
+        const ids = await storage.listExpiredAttachments(now);
+        for (const id of ids) {
+            await blobs.remove(id);
+            await storage.deleteAttachment(id);
+        }
+        return ids.length;
+    });
+    retention.addTask('auth challenges', now => mailboxAuth.prune(now));
+    retention.addTask('rate limit buckets', () => rateLimits.prune());
+    retention.addTask('push cooldowns', now => push.prune(now));
+    retention.addTask('federation outbox', now => storage.deleteExpiredFederation(now));
+
+    // =============================================
+    // SOCKET.IO: Signaling & Presence
+    // =============================================
+    // Each key (peerId or hash) maps to the Set of socket ids of its connected devices
+    const onlinePeers = new Map();
+    const onlineHashes = new Map();
+    const presenceMaps = { peer: onlinePeers, hash: onlineHashes };
+
+    // Other relay instances: presence is shared and events are routed over the bus
+    const bus = sharedBus || createBus({ storage });
+    const cluster = createCluster({
+        bus,
+        ownsBus: !sharedBus,
+        localKeys: () => [
+            ...[...onlinePeers.keys()].map(key => ['peer', key]),
+            ...[...onlineHashes.keys()].map(key => ['hash', key])
+        ]
+    });
+
+    // Clients that don't send a deviceId share one device slot per mailbox
+    const DEFAULT_DEVICE_ID = 'default';
+    // Devices unseen for this long no longer hold back message removal
+    const DEVICE_STALE_MS = Number(process.env.DEVICE_STALE_MS) || 30 * 24 * 60 * 60 * 1000;
+
+    // kind: 'peer' | 'hash'. Other instances hear when a key comes online or goes offline here.
+    function addPresence(kind, key, socketId) {
+        const map = presenceMaps[kind];
+        if (!map.has(key)) {
+            map.set(key, new Set());
+            cluster.announce(kind, key, true);
+        }
+        map.get(key).add(socketId);
+        refreshPresence(key);
     }
-}, 60 * 60 * 1000);
 
-// =============================================
-// SOCKET.IO: Signaling & Presence
-// =============================================
-const onlinePeers = new Map();
-const onlineHashes = new Map();
+    function removePresence(kind, key, socketId) {
+        const map = presenceMaps[kind];
+        const sockets = map.get(key);
+        if (!sockets) return;
+        sockets.delete(socketId);
+        if (sockets.size === 0) {
+            map.delete(key);
+            cluster.announce(kind, key, false);
+            refreshPresence(key);
+        }
+    }
+
+    // All local sockets reachable under a peerId or hash
+    function socketsFor(key) {
+        return [...new Set([...(onlinePeers.get(key) || []), ...(onlineHashes.get(key) || [])])];
+    }
+
+    function isOnline(key) {
+        return onlinePeers.has(key) || onlineHashes.has(key) || cluster.isOnlineElsewhere(null, key);
+    }
+
+    // Emit to a peer's sockets here, and ask other instances to do the same for theirs
+    function relayEvent(event, to, payload) {
+        const targets = socketsFor(to);
+        if (targets.length > 0) io.to(targets).emit(event, payload);
+        cluster.publish(event, { to, payload });
+    }
 
-io.on('connection', (socket) => {
-    console.log('Socket connected:', socket.id);
+    // =============================================
+    // PRESENCE SUBSCRIPTIONS
+    // =============================================
+    // Sockets subscribe to contacts (hash or peerId) with 'subscribe-presence' and
+    // get a 'presence' event whenever one comes online or goes offline, on any
+    // instance. Each target chooses who sees what (POST /identity/presence):
+    //   everyone  online state and last-seen (default)
+    //   online    online state only
+    //   nobody    nothing; subscribers never hear about this key
+    const PRESENCE_VISIBILITY = ['everyone', 'online', 'nobody'];
+    const PRESENCE_MAX_SUBSCRIPTIONS = Number(process.env.PRESENCE_MAX_SUBSCRIPTIONS) || 500;
 
-    socket.on('join', async (payload) => {
-        let peerId, mobileHash;
+    // key -> { sockets: Set<socketId>, online: state last pushed }
+    const presenceSubscriptions = new Map();
 
-        if (typeof payload === 'string') {
-            peerId = payload;
-        } else if (payload && typeof payload === 'object') {
-            peerId = payload.peerId;
-            mobileHash = payload.mobileHash;
+    async function presenceVisibility(key) {
+        const identity = (await storage.getIdentity(key)) || (await storage.getIdentityByPeerId(key));
+        return (identity && identity.presence_visibility) || 'everyone';
+    }
+
+    // What a subscriber may see of this key; online is null when hidden.
+    // lastSeen defaults to the newest device activity on record.
+    async function presenceOf(key, online = isOnline(key), lastSeen) {
+        const visibility = await presenceVisibility(key);
+        if (visibility === 'nobody') return { key, online: null, lastSeen: null };
+        if (visibility !== 'everyone' || online) return { key, online, lastSeen: null };
+        return { key, online, lastSeen: lastSeen === undefined ? await storage.getLastSeen(key) : lastSeen };
+    }
+
+    // Called on every local or remote presence transition; pushes only real changes
+    async function refreshPresence(key) {
+        const subscription = presenceSubscriptions.get(key);
+        if (!subscription) return;
+        const online = isOnline(key);
+        if (subscription.online === online) return;
+        subscription.online = online;
+
+        try {
+            const presence = await presenceOf(key, online, online ? null : Date.now());
+            if (presence.online !== null) io.to([...subscription.sockets]).emit('presence', presence);
+        } catch (err) {
+            console.error("Presence push error:", err.message);
+        }
+    }
+
+    function subscribePresence(socket, key) {
+        let subscription = presenceSubscriptions.get(key);
+        if (!subscription) presenceSubscriptions.set(key, subscription = { sockets: new Set(), online: isOnline(key) });
+        subscription.sockets.add(socket.id);
+        socket.presenceSubscriptions.add(key);
+    }
+
+    function unsubscribePresence(socket, key) {
+        const subscription = presenceSubscriptions.get(key);
+        socket.presenceSubscriptions.delete(key);
+        if (!subscription) return;
+        subscription.sockets.delete(socket.id);
+        if (subscription.sockets.size === 0) presenceSubscriptions.delete(key);
+    }
+
+    cluster.on('presence-change', ({ key }) => refreshPresence(key));
+
+    for (const event of ['signal', 'typing', 'group-update', 'relay-recall', 'call-ring', 'call-update', 'call-ended', 'call-signal']) {
+        cluster.on(event, ({ to, payload }) => {
+            const targets = socketsFor(to);
+            if (targets.length > 0) io.to(targets).emit(event, payload);
+        });
+    }
+
+    // =============================================
+    // DELIVERY: live push, acks, receipts, redelivery
+    // =============================================
+    const delivery = createDeliveryTracker({
+        redeliver: async (socketId, id, attempt) => {
+            if (!io.sockets.sockets.has(socketId)) return false;
+            const message = await storage.getMessage(id);
+            if (!message) return false;
+            console.log(`Redelivering ${id.substring(0, 8)}... (attempt ${attempt})`);
+            emitQueued(socketId, message);
+            return true;
+        }
+    });
+
+    function emitQueued(socketId, item) {
+        if (item.kind === 'receipt') {
+            const receipt = JSON.parse(item.data);
+            io.to(socketId).emit('delivery-receipt', { id: item.id, messageId: receipt.messageId, deliveredAt: receipt.deliveredAt });
+        } else if (item.kind === 'missed-call') {
+            io.to(socketId).emit('missed-call', { id: item.id, ...JSON.parse(item.data) });
+        } else if (item.group_id) {
+            // Group copies are stored as "<messageId>:<memberHash>"; ack with id, dedupe on messageId
+            io.to(socketId).emit('relay-message', {
+                id: item.id, data: item.data,
+                groupId: item.group_id, messageId: item.id.slice(0, -(item.to_hash.length + 1))
+            });
+        } else {
+            io.to(socketId).emit('relay-message', { id: item.id, data: item.data });
+        }
+    }
+
+    // Push a stored message and keep retrying until the client acks it
+    function pushMessage(socketId, item) {
+        emitQueued(socketId, item);
+        delivery.track(socketId, item.id);
+    }
+
+    function localSocketsForMailbox(toHash, toPeer) {
+        return (toHash && onlineHashes.get(toHash)) || (toPeer && onlinePeers.get(toPeer)) || null;
+    }
+
+    // Fan out to every connected device of the addressed mailbox — hash first, then legacy peerId —
+    // on this instance and, via the cluster, on the others. Returns the number of local sockets pushed to.
+    function deliverLive(item) {
+        cluster.publish('deliver', { messageId: item.id, toHash: item.to_hash, toPeer: item.to_peer });
+        const sockets = localSocketsForMailbox(item.to_hash, item.to_peer);
+        if (!sockets) return 0;
+        sockets.forEach(socketId => pushMessage(socketId, item));
+        return sockets.size;
+    }
+
+    function onlineElsewhere(item) {
+        return (!!item.to_hash && cluster.isOnlineElsewhere('hash', item.to_hash))
+            || (!!item.to_peer && cluster.isOnlineElsewhere('peer', item.to_peer));
+    }
+
+    // Another instance stored a message: push it to any devices connected here
+    cluster.on('deliver', async ({ messageId, toHash, toPeer }) => {
+        const sockets = localSocketsForMailbox(toHash, toPeer);
+        if (!sockets) return;
+        try {
+            const message = await storage.getMessage(messageId);
+            if (message) sockets.forEach(socketId => pushMessage(socketId, message));
+        } catch (err) {
+            console.error("Cluster delivery error:", err.message);
         }
+    });
 
-        if (peerId) {
-            onlinePeers.set(peerId, socket.id);
-            socket.peerId = peerId;
-            console.log(`Registered peerId: ${peerId.substring(0, 16)}...`);
+    function mailboxOf(message) {
+        return message.to_hash || message.to_peer;
+    }
+
+    async function activeDevices(mailbox) {
+        const cutoff = Date.now() - DEVICE_STALE_MS;
+        const devices = await storage.listDevices(mailbox);
+        return devices.filter(d => Number(d.last_seen) >= cutoff).map(d => d.device_id);
+    }
+
+    // Nobody is connected anywhere: nudge the recipient's registered push endpoints.
+    // Endpoints belong to identity hashes, so legacy peerId mail is mapped back first.
+    async function wakeRecipient(item) {
+        try {
+            let mailbox = item.to_hash;
+            if (!mailbox && item.to_peer) {
+                const identity = await storage.getIdentityByPeerId(item.to_peer);
+                mailbox = identity && identity.username;
+            }
+            if (mailbox) await push.wake(mailbox);
+        } catch (err) {
+            console.error("Push wake error:", err.message);
         }
+    }
+
+    // Does this socket own the mailbox the message is addressed to?
+    function socketOwnsMessage(socket, message) {
+        if (message.to_hash) return message.to_hash === socket.mobileHash;
+        return !!message.to_peer && message.to_peer === socket.peerId;
+    }
+
+    async function removeMessage(message) {
+        await storage.deleteMessage(message.id);
+        delivery.forgetMessage(message.id);
+    }
+
+    // Message reached its recipient (first ack, or inbox delete): record latency and
+    // tell the sender, if they asked for a receipt
+    async function markDelivered(message) {
+        if (message.kind !== 'message') return;
+        const deliveredAt = Date.now();
+        metrics.deliveryLatency.observe((deliveredAt - Number(message.timestamp)) / 1000);
+        runHook('onDelivered', onDelivered, {
+            id: message.id, toHash: message.to_hash, toPeer: message.to_peer,
+            groupId: message.group_id || null, deliveredAt
+        });
+
+        if (message.receipt_to) {
+            const receipt = {
+                id: `receipt-${message.id}`,
+                to_hash: message.receipt_to,
+                to_peer: null,
+                kind: 'receipt',
+                data: JSON.stringify({ messageId: message.id, deliveredAt }),
+                timestamp: Date.now()
+            };
+            const saved = await storage.saveMessage({
+                id: receipt.id, toHash: receipt.to_hash, toPeer: null,
+                data: receipt.data, kind: 'receipt',
+                expiresAt: receipt.timestamp + MESSAGE_DEFAULT_TTL * 1000, timestamp: receipt.timestamp
+            });
+            if (!saved) return;
+            metrics.messagesStored.inc({ kind: 'receipt' });
+            deliverLive(receipt);
+        }
+    }
+
+    // One device confirmed a message. The receipt goes out on the first device's
+    // ack; the message is removed once every active device of the mailbox has it.
+    async function acknowledgeMessage(message, deviceId) {
+        const firstAckByDevice = await storage.addMessageAck(message.id, deviceId, Date.now());
+        const acked = await storage.listMessageAcks(message.id);
+        if (firstAckByDevice && acked.length === 1) await markDelivered(message);
+
+        const devices = await activeDevices(mailboxOf(message));
+        if (devices.every(d => acked.includes(d))) await removeMessage(message);
+    }
+
+    // =============================================
+    // CALLS: WebRTC signaling sessions (lib/calls.js)
+    // =============================================
+    // Participants joined to calls placed on other instances: key -> instanceId
+    const busyElsewhere = new Map();
+
+    const calls = createCalls({
+        emit: (key, event, payload) => relayEvent(event, key, payload),
+        isOnline,
+        isBusyElsewhere: key => busyElsewhere.has(key),
+        onBusyChange: (key, busy) => cluster.publish('call-busy', { key, busy }),
+        onMissed: (key, notice) => trackWork(queueMissedCall(key, notice))
+    });
 
-        if (mobileHash) {
-            onlineHashes.set(mobileHash, socket.id);
-            socket.mobileHash = mobileHash;
-            console.log(`Registered hash: ${mobileHash.substring(0, 10)}...`);
+    // Missed calls are queued like receipts, so devices that were offline see them on join.
+    // Only registered mailboxes get them, within the mailbox quota, and each keeps one
+    // notice per caller: a later missed call from the same caller replaces it.
+    async function queueMissedCall(key, notice) {
+        try {
+            // Calls address hashes, or peerIds of legacy clients
+            const registered = !!(await storage.getIdentity(key));
+            const legacyPeer = !registered && !!(await storage.getIdentityByPeerId(key));
+            if (!registered && !legacyPeer) return;
 
-            // INSTANT DELIVERY: Push queued messages for this HASH
+            const timestamp = Date.now();
+            const item = {
+                id: `missed-call-${notice.from}-${key}`,
+                to_hash: legacyPeer ? null : key,
+                to_peer: legacyPeer ? key : null,
+                kind: 'missed-call',
+                data: JSON.stringify(notice),
+                timestamp
+            };
+            // This caller's notice, while still queued, just gets the newer call
+            if (!(await storage.replaceMessageData(item.id, item.data))) {
+                await storage.deleteMessage(item.id);  // expired but not pruned yet
+                const usage = await storage.getMailboxUsage({ toHash: item.to_hash, toPeer: item.to_peer });
+                if (quotaExceeded(usage, Buffer.byteLength(item.data))) {
+                    console.warn(`Mailbox full, dropping missed call notice for ${key.substring(0, 10)}...`);
+                    return;
+                }
+                const saved = await storage.saveMessage({
+                    id: item.id, toHash: item.to_hash, toPeer: item.to_peer,
+                    data: item.data, kind: 'missed-call',
+                    expiresAt: timestamp + MESSAGE_DEFAULT_TTL * 1000, timestamp
+                });
+                // A concurrent missed call from the same caller stored it first
+                if (!saved) await storage.replaceMessageData(item.id, item.data);
+            }
+            metrics.messagesStored.inc({ kind: 'missed-call' });
+            if (deliverLive(item) === 0 && !onlineElsewhere(item)) await wakeRecipient(item);
+        } catch (err) {
+            console.error("Missed call notice error:", err.message);
+        }
+    }
+
+    // A call lives on the instance that placed it; actions from sockets
+    // connected elsewhere are forwarded over the bus as a request. Every other
+    // instance answers it, the one holding the call with the action's result,
+    // so the client gets the real outcome; no holder (or no answer within
+    // CALL_FORWARD_TIMEOUT_MS) means the call is unknown.
+    const CALL_ACTIONS = ['invite', 'accept', 'reject', 'hangup', 'signal'];
+    const CALL_FORWARD_TIMEOUT_MS = Number(process.env.CALL_FORWARD_TIMEOUT_MS) || 5000;
+    const pendingCallActions = new Map();  // requestId -> { resolve, waiting, timer }
+
+    function settleCallAction(requestId, result) {
+        const pending = pendingCallActions.get(requestId);
+        if (!pending) return;
+        clearTimeout(pending.timer);
+        pendingCallActions.delete(requestId);
+        pending.resolve(result);
+    }
+
+    async function callAction(action, args) {
+        if (calls.has(args.callId)) return calls[action](args);
+        if (cluster.instanceCount() === 0) return { error: "Unknown call" };
+        const requestId = crypto.randomUUID();
+        return new Promise(resolve => {
+            const timer = setTimeout(() => settleCallAction(requestId, { error: "Unknown call" }), CALL_FORWARD_TIMEOUT_MS);
+            if (timer.unref) timer.unref();
+            pendingCallActions.set(requestId, { resolve, waiting: cluster.instanceCount(), timer });
+            cluster.publish('call-action', { action, args, requestId });
+        });
+    }
+
+    cluster.on('call-action', ({ action, args, requestId, origin }) => {
+        const held = CALL_ACTIONS.includes(action) && args && calls.has(args.callId);
+        cluster.publish('call-result', { requestId, replyTo: origin, result: held ? calls[action](args) : null });
+    });
+
+    cluster.on('call-result', ({ requestId, replyTo, result }) => {
+        if (replyTo !== cluster.instanceId) return;
+        const pending = pendingCallActions.get(requestId);
+        if (!pending) return;
+        if (result) return settleCallAction(requestId, result);
+        if (--pending.waiting <= 0) settleCallAction(requestId, { error: "Unknown call" });
+    });
+
+    cluster.on('call-busy', ({ key, busy, origin }) => {
+        if (busy) busyElsewhere.set(key, origin);
+        else busyElsewhere.delete(key);
+    });
+
+    // Whoever went offline with the instance that placed their call is not busy anymore
+    cluster.on('presence-change', ({ key }) => {
+        if (busyElsewhere.has(key) && !isOnline(key)) busyElsewhere.delete(key);
+    });
+
+    // Same proxy rules as Express' req.ip: the address the trusted proxy hop saw,
+    // never an X-Forwarded-For entry the client wrote itself
+    function socketIp(socket) {
+        return proxyaddr(socket.request, app.get('trust proxy fn'));
+    }
+
+    io.use((socket, next) => next(draining ? new Error("Relay is shutting down") : undefined));
+
+    io.on('connection', (socket) => {
+        console.log('Socket connected:', socket.id);
+        metrics.socketConnects.inc();
+        socket.use(metrics.socketContext);
+        socket.presenceSubscriptions = new Set();
+        socket.calls = new Set();  // call ids this device placed or answered
+
+        // Token-bucket check for a socket event; tells the client when it's throttled.
+        // Before 'join' only the IP bucket applies: a fresh socket is no new identity.
+        const ip = socketIp(socket);
+        function allowEvent(event, rule = event) {
+            const result = rateLimits.check(rule, {
+                ip,
+                identity: socket.mobileHash || socket.peerId || null
+            });
+            if (!result.allowed) socket.emit('rate-limited', { event, retryAfter: result.retryAfter });
+            return result.allowed;
+        }
+
+        // Nonce for proving mailbox ownership over the socket (alternative to POST /auth/challenge)
+        socket.on('auth-challenge', async (hash, callback) => {
+            if (typeof callback !== 'function') return;
+            if (!allowEvent('auth-challenge', 'challenge')) return callback({ error: "Too many requests" });
+            if (!isValidHash(hash)) return callback({ error: "Invalid hash" });
             try {
-                const { rows } = await pool.query(
-                    'SELECT * FROM messages WHERE to_hash = $1', [mobileHash]
-                );
-                if (rows.length > 0) {
-                    console.log(`Delivering ${rows.length} queued msgs to hash ${mobileHash.substring(0, 10)}...`);
-                    for (const item of rows) {
-                        socket.emit('relay-message', { id: item.id, data: item.data });
+                const challenge = await mailboxAuth.issueChallenge(hash);
+                callback(challenge || { error: "Too many pending challenges, retry shortly" });
+            } catch (err) {
+                console.error("Auth Challenge Error:", err.message);
+                callback({ error: "DB Error" });
+            }
+        });
+
+        socket.on('join', tracked(async (payload) => {
+            let peerId, mobileHash, token, deviceId;
+
+            if (typeof payload === 'string') {
+                peerId = payload;
+            } else if (payload && typeof payload === 'object') {
+                peerId = payload.peerId;
+                mobileHash = payload.mobileHash;
+                token = payload.token;
+                deviceId = payload.deviceId;
+
+                // Inline proof: sign a nonce from 'auth-challenge' instead of sending a session token
+                if (mobileHash && !token && payload.nonce && payload.signature) {
+                    try {
+                        if (await mailboxAuth.verifyChallenge(mobileHash, payload.nonce, payload.signature)) {
+                            token = mailboxAuth.createSession(mobileHash).token;
+                        }
+                    } catch (err) {
+                        console.error("Join auth error:", err.message);
                     }
                 }
+            }
+
+            try {
+                if (mobileHash && !(await mailboxAuth.authorizeHash(mobileHash, token))) {
+                    console.warn(`Rejected unauthenticated join for hash ${mobileHash.substring(0, 10)}...`);
+                    socket.emit('auth-error', { error: "Mailbox authentication required", mobileHash });
+                    mobileHash = null;
+                }
+                if (peerId && !(await mailboxAuth.authorizePeer(peerId, token))) {
+                    console.warn(`Rejected unauthenticated join for peerId ${peerId.substring(0, 16)}...`);
+                    socket.emit('auth-error', { error: "Mailbox authentication required", peerId });
+                    peerId = null;
+                }
             } catch (err) {
-                console.error("Queue delivery error:", err.message);
+                console.error("Join auth error:", err.message);
+                return;
+            }
+
+            // A re-join replaces whatever the socket joined as before
+            const previousKey = socket.mobileHash || socket.peerId;
+            if (previousKey && previousKey !== (mobileHash || peerId)) {
+                socket.calls.forEach(callId => callAction('hangup', { callId, key: previousKey, reason: 'disconnected' }));
+                socket.calls.clear();
+            }
+            if (socket.peerId && socket.peerId !== peerId) removePresence('peer', socket.peerId, socket.id);
+            if (socket.mobileHash && socket.mobileHash !== mobileHash) removePresence('hash', socket.mobileHash, socket.id);
+            socket.peerId = null;
+            socket.mobileHash = null;
+
+            socket.deviceId = (typeof deviceId === 'string' && deviceId) || DEFAULT_DEVICE_ID;
+
+            if (peerId) {
+                addPresence('peer', peerId, socket.id);
+                socket.peerId = peerId;
+                console.log(`Registered peerId: ${peerId.substring(0, 16)}... device=${socket.deviceId}`);
+            }
+
+            if (mobileHash) {
+                addPresence('hash', mobileHash, socket.id);
+                socket.mobileHash = mobileHash;
+                console.log(`Registered hash: ${mobileHash.substring(0, 10)}... device=${socket.deviceId}`);
             }
-        }
 
-        // Also deliver legacy peerId-addressed messages
-        if (peerId) {
             try {
-                const { rows } = await pool.query(
-                    'SELECT * FROM messages WHERE to_peer = $1 AND to_hash IS NULL', [peerId]
-                );
-                if (rows.length > 0) {
-                    console.log(`Delivering ${rows.length} legacy msgs to peerId...`);
-                    for (const item of rows) {
-                        socket.emit('relay-message', { id: item.id, data: item.data });
+                for (const mailbox of [mobileHash, peerId]) {
+                    if (mailbox) await storage.registerDevice({ mailbox, deviceId: socket.deviceId, timestamp: Date.now() });
+                }
+            } catch (err) {
+                console.error("Device registration error:", err.message);
+            }
+
+            if (mobileHash) {
+                // INSTANT DELIVERY: Push messages for this HASH that this device hasn't acked
+                try {
+                    const rows = await storage.getMessagesByHash(mobileHash, { deviceId: socket.deviceId });
+                    if (rows.length > 0) {
+                        console.log(`Delivering ${rows.length} queued msgs to hash ${mobileHash.substring(0, 10)}...`);
+                        for (const item of rows) {
+                            pushMessage(socket.id, item);
+                        }
+                    }
+                } catch (err) {
+                    console.error("Queue delivery error:", err.message);
+                }
+            }
+
+            // Also deliver legacy peerId-addressed messages
+            if (peerId) {
+                try {
+                    const rows = await storage.getMessagesByPeer(peerId, { legacyOnly: true, deviceId: socket.deviceId });
+                    if (rows.length > 0) {
+                        console.log(`Delivering ${rows.length} legacy msgs to peerId...`);
+                        for (const item of rows) {
+                            pushMessage(socket.id, item);
+                        }
                     }
+                } catch (err) {
+                    console.error("Legacy delivery error:", err.message);
+                }
+            }
+        }));
+
+        // Client confirms receipt: accepts an id, { id } or { ids: [...] }
+        socket.on('ack', tracked(async (payload, callback) => {
+            const reply = typeof callback === 'function' ? callback : () => {};
+            let ids = [];
+            if (typeof payload === 'string') ids = [payload];
+            else if (payload && Array.isArray(payload.ids)) ids = payload.ids;
+            else if (payload && payload.id) ids = [payload.id];
+            if (ids.length === 0) return reply({ error: "Missing id" });
+
+            const acked = [];
+            try {
+                for (const id of ids) {
+                    delivery.forget(socket.id, id);
+                    const message = await storage.getMessage(id);
+                    if (!message || !socketOwnsMessage(socket, message)) continue;
+                    await acknowledgeMessage(message, socket.deviceId);
+                    acked.push(id);
                 }
+                reply({ success: true, acked });
             } catch (err) {
-                console.error("Legacy delivery error:", err.message);
+                console.error("Ack error:", err.message);
+                reply({ error: "DB Error", acked });
             }
+        }));
+
+        socket.on('signal', (payload) => {
+            const { to, data } = payload || {};
+            if (typeof to !== 'string') return;
+            if (!allowEvent('signal')) return;
+            metrics.socketEvents.inc({ event: 'signal' });
+            relayEvent('signal', to, { from: socket.peerId || socket.mobileHash, data });
+        });
+
+        socket.on('typing', (payload) => {
+            const { to, isTyping } = payload || {};
+            if (typeof to !== 'string') return;
+            if (!allowEvent('typing')) return;
+            metrics.socketEvents.inc({ event: 'typing' });
+            relayEvent('typing', to, { from: socket.peerId || socket.mobileHash, isTyping });
+        });
+
+        // Call signaling: the caller is always the socket's joined identity
+        socket.on('call-invite', async (payload, callback) => {
+            const reply = typeof callback === 'function' ? callback : () => {};
+            if (!allowEvent('call')) return reply({ error: "Too many requests" });
+            const key = socket.mobileHash || socket.peerId;
+            if (!key) return reply({ error: "Join before placing a call" });
+            metrics.socketEvents.inc({ event: 'call-invite' });
+
+            const { to, callId, data } = payload || {};
+            const targets = [...new Set((Array.isArray(to) ? to : [to]).filter(k => typeof k === 'string' && k))];
+            if (targets.length > calls.maxParticipants) {
+                return reply({ error: `Calls are limited to ${calls.maxParticipants} participants` });
+            }
+
+            try {
+                // Hidden targets ring like everyone else instead of reading as busy or offline
+                const hidden = [];
+                for (const target of targets) {
+                    if (await presenceVisibility(target) === 'nobody') hidden.push(target);
+                }
+                const result = callId
+                    ? await callAction('invite', { callId, key, to: targets, data, hidden })
+                    : calls.invite({ key, to: targets, data, hidden });
+                if (result.callId) socket.calls.add(result.callId);
+                reply(result);
+            } catch (err) {
+                console.error("Call invite error:", err.message);
+                reply({ error: "DB Error" });
+            }
+        });
+
+        for (const [event, action] of [['call-accept', 'accept'], ['call-reject', 'reject'], ['call-hangup', 'hangup'], ['call-signal', 'signal']]) {
+            socket.on(event, async (payload, callback) => {
+                const reply = typeof callback === 'function' ? callback : () => {};
+                if (action === 'signal' && !allowEvent('signal')) return reply({ error: "Too many requests" });
+                const key = socket.mobileHash || socket.peerId;
+                const { callId, to, data } = payload || {};
+                if (!key || typeof callId !== 'string') return reply({ error: "Missing callId" });
+                metrics.socketEvents.inc({ event });
+
+                const result = await callAction(action, { callId, key, to, data });
+                if (action === 'accept' && !result.error) socket.calls.add(callId);
+                if (action === 'hangup' || action === 'reject') socket.calls.delete(callId);
+                reply(result);
+            });
         }
+
+        // Hidden targets (visibility 'nobody') always read as offline
+        socket.on('check-status', async (target, callback) => {
+            if (typeof callback !== 'function') return;
+            if (!allowEvent('check-status')) return callback({ error: "Too many requests" });
+            try {
+                const presence = await presenceOf(target, isOnline(target), null);
+                callback({ isOnline: presence.online === true });
+            } catch (err) {
+                callback({ error: "DB Error" });
+            }
+        });
+
+        // Contact list presence: replies with the current state of each key, then
+        // pushes 'presence' { key, online, lastSeen } as it changes
+        socket.on('subscribe-presence', async (keys, callback) => {
+            const reply = typeof callback === 'function' ? callback : () => {};
+            if (!allowEvent('subscribe-presence')) return reply({ error: "Too many requests" });
+            if (!Array.isArray(keys)) return reply({ error: "Expected an array of hashes or peerIds" });
+            metrics.socketEvents.inc({ event: 'subscribe-presence' });
+
+            const wanted = [...new Set(keys.filter(k => typeof k === 'string' && k))];
+            const added = wanted.filter(k => !socket.presenceSubscriptions.has(k));
+            if (socket.presenceSubscriptions.size + added.length > PRESENCE_MAX_SUBSCRIPTIONS) {
+                return reply({ error: `Subscription limit is ${PRESENCE_MAX_SUBSCRIPTIONS} keys per connection` });
+            }
+
+            added.forEach(key => subscribePresence(socket, key));
+            try {
+                reply({ success: true, presence: await Promise.all(wanted.map(key => presenceOf(key))) });
+            } catch (err) {
+                console.error("Presence subscribe error:", err.message);
+                reply({ error: "DB Error" });
+            }
+        });
+
+        socket.on('unsubscribe-presence', (keys, callback) => {
+            const list = Array.isArray(keys) ? keys : [...socket.presenceSubscriptions];
+            list.forEach(key => unsubscribePresence(socket, key));
+            if (typeof callback === 'function') callback({ success: true, subscribed: socket.presenceSubscriptions.size });
+        });
+
+        socket.on('disconnect', tracked(async (reason) => {
+            metrics.socketDisconnects.inc({ reason });
+            delivery.dropSocket(socket.id);
+            [...socket.presenceSubscriptions].forEach(key => unsubscribePresence(socket, key));
+            const callKey = socket.mobileHash || socket.peerId;
+            socket.calls.forEach(callId => callAction('hangup', { callId, key: callKey, reason: 'disconnected' }));
+            if (socket.peerId) removePresence('peer', socket.peerId, socket.id);
+            if (socket.mobileHash) removePresence('hash', socket.mobileHash, socket.id);
+
+            try {
+                for (const mailbox of [socket.mobileHash, socket.peerId]) {
+                    if (mailbox) await storage.registerDevice({ mailbox, deviceId: socket.deviceId, timestamp: Date.now() });
+                }
+            } catch (err) {
+                console.error("Device last-seen error:", err.message);
+            }
+        }));
     });
 
-    socket.on('signal', ({ to, data }) => {
-        const targetSocketId = onlinePeers.get(to) || onlineHashes.get(to);
-        if (targetSocketId) {
-            io.to(targetSocketId).emit('signal', { from: socket.peerId || socket.mobileHash, data });
+    // =============================================
+    // API: Health Check
+    // =============================================
+    app.get('/health', async (req, res) => {
+        try {
+            // Quick DB health check
+            await storage.ping();
+            res.json({
+                status: 'ok',
+                db: storage.name,
+                uptime: process.uptime(),
+                onlinePeers: onlinePeers.size,
+                onlineHashes: onlineHashes.size,
+                pendingAcks: delivery.size(),
+                activeCalls: calls.size(),
+                instanceId: cluster.instanceId,
+                bus: bus.name,
+                clusterInstances: cluster.instanceCount(),
+                timestamp: Date.now()
+            });
+        } catch (err) {
+            res.json({
+                status: 'degraded',
+                db: `${storage.name}-error`,
+                error: err.message,
+                uptime: process.uptime(),
+                timestamp: Date.now()
+            });
         }
     });
 
-    socket.on('typing', ({ to, isTyping }) => {
-        const targetSocketId = onlinePeers.get(to) || onlineHashes.get(to);
-        if (targetSocketId) {
-            io.to(targetSocketId).emit('typing', { from: socket.peerId || socket.mobileHash, isTyping });
+    // =============================================
+    // API: Prometheus Metrics
+    // =============================================
+    // Set METRICS_TOKEN to require "Authorization: Bearer <token>" from the scraper
+    app.get('/metrics', async (req, res) => {
+        if (process.env.METRICS_TOKEN && req.get('authorization') !== `Bearer ${process.env.METRICS_TOKEN}`) {
+            return res.status(401).json({ error: "Unauthorized" });
+        }
+        try {
+            res.set('Content-Type', metrics.register.contentType);
+            res.end(await metrics.register.metrics());
+        } catch (err) {
+            res.status(500).json({ error: "Metrics Error" });
         }
     });
 
-    socket.on('check-status', (target, callback) => {
-        const isOnline = onlinePeers.has(target) || onlineHashes.has(target);
-        if (typeof callback === 'function') callback({ isOnline });
+    // =============================================
+    // API: Mailbox Authentication
+    // =============================================
+
+    app.post('/auth/challenge', rateLimits.middleware('challenge'), async (req, res) => {
+        const { hash } = req.body;
+        if (!hash) return res.status(400).json({ error: "Missing hash" });
+        if (!isValidHash(hash)) return res.status(400).json({ error: "Invalid hash" });
+        try {
+            const challenge = await mailboxAuth.issueChallenge(hash);
+            if (!challenge) {
+                res.set('Retry-After', '30');
+                return res.status(503).json({ error: "Too many pending challenges, retry shortly" });
+            }
+            res.json(challenge);
+        } catch (err) {
+            console.error("Auth Challenge Error:", err.message);
+            res.status(500).json({ error: "DB Error" });
+        }
     });
 
-    socket.on('disconnect', () => {
-        if (socket.peerId) onlinePeers.delete(socket.peerId);
-        if (socket.mobileHash) onlineHashes.delete(socket.mobileHash);
+    app.post('/auth/verify', async (req, res) => {
+        const { hash, nonce, signature } = req.body;
+        if (!hash || !nonce || !signature) return res.status(400).json({ error: "Missing hash, nonce or signature" });
+
+        try {
+            if (!(await mailboxAuth.verifyChallenge(hash, nonce, signature))) {
+                return res.status(401).json({ error: "Invalid or expired challenge" });
+            }
+            res.json(mailboxAuth.createSession(hash));
+        } catch (err) {
+            console.error("Auth Verify Error:", err.message);
+            res.status(500).json({ error: "DB Error" });
+        }
     });
-});
 
-// =============================================
-// API: Health Check
-// =============================================
-app.get('/health', async (req, res) => {
-    try {
-        // Quick DB health check
-        await pool.query('SELECT 1');
-        res.json({
-            status: 'ok',
-            db: 'postgresql',
-            uptime: process.uptime(),
-            onlinePeers: onlinePeers.size,
-            onlineHashes: onlineHashes.size,
-            timestamp: Date.now()
-        });
-    } catch (err) {
-        res.json({
-            status: 'degraded',
-            db: 'postgresql-error',
-            error: err.message,
-            uptime: process.uptime(),
-            timestamp: Date.now()
-        });
-    }
-});
+    // =============================================
+    // FEDERATION: other relays
+    // =============================================
+    const federation = createFederation({
+        ...federationOptions,
+        storage,
+        onInbound: async ({ id, toHash, data, ttl, origin }) => {
+            const result = await acceptMessage({ id, toHash, toPeer: null, data, ttl });
+            if (result.quota) return { status: 507, body: quotaError(result.quota) };
+            if (result.duplicate) return { status: 409, body: { error: "Message id already queued" } };
+            console.log(`🌐 Accepted ${id.substring(0, 8)}... from ${origin}`);
+            return { status: 200, body: { success: true, liveDelivered: result.liveDelivered } };
+        },
+        onDirectory: async (hash) => {
+            const identity = await storage.getIdentity(hash);
+            return identity ? { found: true, peerId: identity.peer_id, displayName: identity.display_name } : { found: false };
+        }
+    });
 
-// =============================================
-// API: Store-and-Forward Messaging
-// =============================================
+    // Mail for "<hash>@<other relay>": queued in the outbox and forwarded
+    async function sendRemote(req, res, { hash, domain }) {
+        const { data, id, receiptTo, ttl } = req.body;
+        if (!federation.enabled || !federation.isAllowed(domain)) return res.status(400).json({ error: `Unknown relay: ${domain}` });
+        if (receiptTo) return res.status(400).json({ error: "receiptTo is not supported for remote recipients" });
 
-app.post('/send', async (req, res) => {
-    const { toHash, to, data, id } = req.body;
-    if (!data || !id) return res.status(400).json({ error: "Missing data or id" });
-    if (!toHash && !to) return res.status(400).json({ error: "Missing toHash or to" });
+        const lifetime = Math.min(ttl || MESSAGE_DEFAULT_TTL, MESSAGE_MAX_TTL);
+        const expiresAt = Date.now() + lifetime * 1000;
+        try {
+            const outcome = await federation.forward({ id, hash, domain, data, ttl: lifetime, expiresAt });
+            console.log(`🌐 Message ${id.substring(0, 8)}... -> ${hash.substring(0, 10)}@${domain} ${outcome}`);
+            if (outcome === 'rejected') return res.status(502).json({ error: `Relay ${domain} rejected the message` });
+            res.json({ success: true, relay: domain, forwarded: outcome === 'delivered', queued: outcome === 'queued', expiresAt });
+        } catch (err) {
+            console.error("Federation Send Error:", err.message);
+            res.status(500).json({ error: "Storage failed" });
+        }
+    }
 
-    const targetHash = toHash || null;
-    const targetPeer = to || null;
+    // =============================================
+    // API: Store-and-Forward Messaging
+    // =============================================
 
-    try {
-        await pool.query(
-            'INSERT INTO messages (id, to_hash, to_peer, data, timestamp) VALUES ($1, $2, $3, $4, $5) ON CONFLICT (id) DO NOTHING',
-            [id, targetHash, targetPeer, data, Date.now()]
-        );
+    function quotaExceeded(usage, size) {
+        return usage.count + 1 > MAILBOX_MAX_MESSAGES || usage.bytes + size > MAILBOX_MAX_BYTES;
+    }
 
-        // Attempt LIVE delivery via Socket
-        let delivered = false;
+    function quotaError(usage) {
+        return {
+            error: usage.count + 1 > MAILBOX_MAX_MESSAGES
+                ? `Mailbox quota exceeded: limit is ${MAILBOX_MAX_MESSAGES} queued messages`
+                : `Mailbox quota exceeded: limit is ${MAILBOX_MAX_BYTES} queued bytes`,
+            quota: { maxMessages: MAILBOX_MAX_MESSAGES, maxBytes: MAILBOX_MAX_BYTES, messages: usage.count, bytes: usage.bytes }
+        };
+    }
 
-        if (targetHash) {
-            const socketId = onlineHashes.get(targetHash);
-            if (socketId) {
-                io.to(socketId).emit('relay-message', { id, data });
-                delivered = true;
-            }
+    // Quota check, store, then live push or wake-up, for one local mailbox.
+    // Used by /send, for each member copy of a group send and by mail
+    // forwarded from other relays. Returns { quota: usage } instead when the
+    // mailbox is full, { duplicate: true } when the id is already taken.
+    async function acceptMessage({ id, toHash, toPeer, data, receiptTo = null, groupId = null, senderTokenHash = null, ttl }) {
+        // Per-mailbox quotas, counted over unexpired messages only
+        const usage = await storage.getMailboxUsage({ toHash, toPeer });
+        if (quotaExceeded(usage, Buffer.byteLength(data))) {
+            console.warn(`Mailbox full: hash=${(toHash || 'none').substring(0, 10)} peer=${(toPeer || 'none').substring(0, 16)} (${usage.count} msgs, ${usage.bytes} bytes)`);
+            return { quota: usage };
         }
 
-        if (!delivered && targetPeer) {
-            const socketId = onlinePeers.get(targetPeer);
-            if (socketId) {
-                io.to(socketId).emit('relay-message', { id, data });
-                delivered = true;
-            }
+        const timestamp = Date.now();
+        const expiresAt = timestamp + Math.min(ttl || MESSAGE_DEFAULT_TTL, MESSAGE_MAX_TTL) * 1000;
+        if (!(await storage.saveMessage({ id, toHash, toPeer, data, receiptTo, groupId, senderTokenHash, expiresAt, timestamp }))) {
+            return { duplicate: true };
         }
 
-        console.log(`Message ${id.substring(0, 8)}... -> hash=${(targetHash || 'none').substring(0, 10)} peer=${(targetPeer || 'none').substring(0, 16)} live=${delivered}`);
-        res.json({ success: true, liveDelivered: delivered });
-    } catch (err) {
-        console.error("Send Error:", err.message);
-        res.status(500).json({ error: "Storage failed" });
+        // Attempt LIVE delivery via Socket, to every connected device
+        const item = { id, to_hash: toHash, to_peer: toPeer, data, kind: 'message', receipt_to: receiptTo, group_id: groupId, expires_at: expiresAt, timestamp };
+        const liveDevices = deliverLive(item);
+        const delivered = liveDevices > 0 || onlineElsewhere(item);
+        metrics.messagesStored.inc({ kind: 'message' });
+        if (delivered) {
+            metrics.messagesLiveDelivered.inc();
+        } else {
+            metrics.messagesQueued.inc();
+            trackWork(wakeRecipient(item));
+        }
+
+        console.log(`Message ${id.substring(0, 8)}... -> hash=${(toHash || 'none').substring(0, 10)} peer=${(toPeer || 'none').substring(0, 16)} live=${delivered}`);
+        runHook('onMessageStored', onMessageStored, { id, toHash, toPeer, groupId, expiresAt, timestamp, live: delivered });
+        return { liveDelivered: delivered, liveDevices, expiresAt };
     }
-});
 
-// Inbox by HASH (primary)
-app.get('/inbox/hash/:hash', async (req, res) => {
-    try {
-        const { rows } = await pool.query(
-            'SELECT * FROM messages WHERE to_hash = $1 ORDER BY timestamp ASC', [req.params.hash]
-        );
-        res.json(rows);
-    } catch (err) {
-        res.status(500).json({ error: "DB Error" });
+    // Sender capability: every local /send (and group send) returns a random
+    // senderToken; only its hash is kept with the message and its group copies.
+    // While the message is still queued, the token lets the sender
+    //   DELETE /send/:id             recall it
+    //   PUT    /send/:id { data }    replace its ciphertext (same id)
+    // with "Authorization: Bearer <senderToken>". Devices of the recipient that
+    // are connected (and so may already hold it) get 'relay-recall'
+    // { id, replaced }; a replacement is pushed to them again right after.
+    function hashSenderToken(token) {
+        return crypto.createHash('sha256').update(token || '').digest('hex');
     }
-});
 
-// Legacy: Inbox by peerId
-app.get('/inbox/:peerId', async (req, res) => {
-    try {
-        const { rows } = await pool.query(
-            'SELECT * FROM messages WHERE to_peer = $1 ORDER BY timestamp ASC', [req.params.peerId]
-        );
-        res.json(rows);
-    } catch (err) {
-        res.status(500).json({ error: "DB Error" });
+    function issueSenderToken() {
+        const token = crypto.randomBytes(32).toString('base64url');
+        return { token, hash: hashSenderToken(token) };
     }
-});
 
-// Delete message by ID
-app.delete('/inbox/:id', async (req, res) => {
-    try {
-        await pool.query('DELETE FROM messages WHERE id = $1', [req.params.id]);
-        res.json({ success: true });
-    } catch (err) {
-        res.status(500).json({ error: "DB Error" });
+    function holdsSenderToken(req, message) {
+        if (!message.sender_token_hash) return false;
+        const a = Buffer.from(message.sender_token_hash, 'hex');
+        const b = Buffer.from(hashSenderToken(bearerToken(req)), 'hex');
+        return crypto.timingSafeEqual(a, b);
     }
-});
 
-// =============================================
-// API: Identity & Directory
-// =============================================
+    // Stored row as the recipient sees it
+    function inboxView({ sender_token_hash, ...message }) {
+        return message;
+    }
 
-app.post('/identity', async (req, res) => {
-    const { username, blob, peerId, displayName } = req.body;
-    if (!username || !blob) return res.status(400).json({ error: "Missing fields" });
+    function notifyRecall(message, replaced) {
+        const payload = { id: message.id, replaced };
+        if (message.group_id) {
+            payload.groupId = message.group_id;
+            payload.messageId = message.id.slice(0, -(message.to_hash.length + 1));
+        }
+        relayEvent('relay-recall', mailboxOf(message), payload);
+    }
 
-    try {
-        // Check existing entry
-        const { rows } = await pool.query(
-            'SELECT peer_id, display_name FROM identities WHERE username = $1', [username]
-        );
-        const existing = rows[0] || null;
-
-        const oldPeerId = existing ? existing.peer_id : null;
-        const newPeerId = peerId || null;
-
-        // Log PeerId changes
-        if (newPeerId) {
-            if (oldPeerId && oldPeerId !== newPeerId) {
-                console.warn(`⚠️ PEERID CHANGED for ${(displayName || username.substring(0, 10))}! Old=${oldPeerId.substring(0, 16)}... New=${newPeerId.substring(0, 16)}...`);
-                await pool.query(
-                    'INSERT INTO peerid_history (username_hash, display_name, old_peer_id, new_peer_id, source, timestamp) VALUES ($1, $2, $3, $4, $5, $6)',
-                    [username, displayName || null, oldPeerId, newPeerId, 'PEERID_CHANGE', Date.now()]
-                );
-            } else if (!oldPeerId) {
-                console.log(`✅ First registration: ${(displayName || username.substring(0, 10))} -> Hash: ${username.substring(0, 10)}...`);
-                await pool.query(
-                    'INSERT INTO peerid_history (username_hash, display_name, old_peer_id, new_peer_id, source, timestamp) VALUES ($1, $2, $3, $4, $5, $6)',
-                    [username, displayName || null, null, newPeerId, 'FIRST_REGISTRATION', Date.now()]
-                );
-            }
-        }
-
-        // Save identity — keep existing peerId if none sent
-        const finalPeerId = newPeerId || oldPeerId || null;
-        const finalDisplayName = displayName || (existing ? existing.display_name : null);
-
-        await pool.query(
-            `INSERT INTO identities (username, encrypted_blob, peer_id, display_name, timestamp) 
-             VALUES ($1, $2, $3, $4, $5) 
-             ON CONFLICT (username) DO UPDATE SET 
-                encrypted_blob = EXCLUDED.encrypted_blob,
-                peer_id = EXCLUDED.peer_id,
-                display_name = EXCLUDED.display_name,
-                timestamp = EXCLUDED.timestamp`,
-            [username, blob, finalPeerId, finalDisplayName, Date.now()]
-        );
-
-        console.log(`Identity saved: hash=${username.substring(0, 10)}... name=${displayName || 'none'}`);
-        res.json({ success: true });
-    } catch (err) {
-        console.error("Identity Save Error:", err.message);
-        res.status(500).json({ error: "Storage failed: " + err.message });
+    // Copies of a sent message that the caller's senderToken opens.
+    // Responds and returns null when there are none.
+    async function sentCopies(req, res) {
+        const copies = await storage.listSentCopies(req.params.id);
+        if (copies.length === 0) {
+            res.status(404).json({ error: "Message is no longer queued (delivered, recalled or expired)" });
+            return null;
+        }
+        const mine = copies.filter(message => holdsSenderToken(req, message));
+        if (mine.length === 0) {
+            res.status(401).json({ error: "Sender token required" });
+            return null;
+        }
+        return mine;
     }
-});
 
-// Recover Identity by hash
-app.post('/identity/recover', async (req, res) => {
-    const { hashKey } = req.body;
-    if (!hashKey) return res.status(400).json({ error: "Missing hashKey" });
+    // Group send: the sender uploads once and every other member's mailbox gets its
+    // own copy, so TTL, quotas, multi-device acks and receipts behave as for direct sends.
+    // Members whose mailbox is full are skipped and reported back.
+    async function sendToGroup(req, res) {
+        const { toGroup, data, id, receiptTo, ttl } = req.body;
+        const token = bearerToken(req);
+        const sender = mailboxAuth.sessionHash(token);
+        if (!sender) return res.status(401).json({ error: "Mailbox authentication required for group send" });
 
-    try {
-        const { rows } = await pool.query(
-            'SELECT encrypted_blob, peer_id, display_name FROM identities WHERE username = $1', [hashKey]
-        );
-        if (rows[0]) {
-            res.json({ found: true, blob: rows[0].encrypted_blob, peerId: rows[0].peer_id, displayName: rows[0].display_name });
-        } else {
-            res.json({ found: false });
+        try {
+            const members = await storage.listGroupMembers(toGroup);
+            if (!members.some(m => m.member_hash === sender)) return res.status(403).json({ error: "Not a member of this group" });
+            if (receiptTo && !(await mailboxAuth.authorizeHash(receiptTo, token))) {
+                return res.status(401).json({ error: "Mailbox authentication required for receiptTo" });
+            }
+
+            const senderToken = issueSenderToken();
+            const skipped = [];
+            let recipients = 0;
+            let duplicates = 0;
+            let liveDelivered = 0;
+            let expiresAt = null;
+
+            for (const { member_hash: hash } of members) {
+                if (hash === sender) continue;
+                const result = await acceptMessage({
+                    id: `${id}:${hash}`, toHash: hash, toPeer: null, data, receiptTo: receiptTo || null,
+                    groupId: toGroup, senderTokenHash: senderToken.hash, ttl
+                });
+                if (result.quota) {
+                    skipped.push(hash);
+                    continue;
+                }
+                if (result.duplicate) {
+                    duplicates++;
+                    continue;
+                }
+                recipients++;
+                if (result.liveDelivered) liveDelivered++;
+                expiresAt = result.expiresAt;
+            }
+
+            if (duplicates > 0 && recipients === 0) return res.status(409).json({ error: "Message id already queued" });
+            console.log(`Group message ${id.substring(0, 8)}... -> group=${toGroup.substring(0, 8)} recipients=${recipients} live=${liveDelivered} skipped=${skipped.length}`);
+            res.json({ success: true, groupId: toGroup, recipients, liveDelivered, skipped, expiresAt, senderToken: senderToken.token });
+        } catch (err) {
+            console.error("Group Send Error:", err.message);
+            res.status(500).json({ error: "Storage failed" });
         }
-    } catch (err) {
-        res.status(500).json({ error: "DB Error" });
     }
-});
 
-// Directory Lookup
-app.get('/directory/:hashKey', async (req, res) => {
-    try {
-        const { rows } = await pool.query(
-            'SELECT peer_id, display_name FROM identities WHERE username = $1', [req.params.hashKey]
-        );
-        if (rows[0]) {
-            res.json({ found: true, peerId: rows[0].peer_id, displayName: rows[0].display_name });
-        } else {
-            res.json({ found: false });
+    app.post('/send', rateLimits.middleware('send', {
+        recipientOf: req => req.body.toHash || req.body.to || req.body.toGroup
+    }), async (req, res) => {
+        const { toHash, to, toGroup, data, id, receiptTo, ttl } = req.body;
+        if (!data || !id) return res.status(400).json({ error: "Missing data or id" });
+        if (typeof data !== 'string') return res.status(400).json({ error: "data must be a string" });
+        if (!toHash && !to && !toGroup) return res.status(400).json({ error: "Missing toHash, to or toGroup" });
+        if (ttl !== undefined && !(Number.isFinite(ttl) && ttl > 0)) return res.status(400).json({ error: "ttl must be a positive number of seconds" });
+        if (toGroup) return sendToGroup(req, res);
+
+        const address = toHash ? federation.parseAddress(toHash) : { hash: null, domain: null };
+        if (address.domain) return sendRemote(req, res, address);
+        const targetHash = address.hash || null;
+        const targetPeer = to || null;
+
+        try {
+            // Receipts land in the sender's mailbox, so the sender must be able to act on it
+            if (receiptTo && !(await mailboxAuth.authorizeHash(receiptTo, bearerToken(req)))) {
+                return res.status(401).json({ error: "Mailbox authentication required for receiptTo" });
+            }
+
+            const senderToken = issueSenderToken();
+            const result = await acceptMessage({
+                id, toHash: targetHash, toPeer: targetPeer, data, receiptTo: receiptTo || null,
+                senderTokenHash: senderToken.hash, ttl
+            });
+            if (result.quota) return res.status(507).json(quotaError(result.quota));
+            if (result.duplicate) return res.status(409).json({ error: "Message id already queued" });
+            res.json({ success: true, ...result, senderToken: senderToken.token });
+        } catch (err) {
+            console.error("Send Error:", err.message);
+            res.status(500).json({ error: "Storage failed" });
         }
-    } catch (err) {
-        res.status(500).json({ error: "DB Error" });
-    }
-});
+    });
 
-// Legacy endpoint
-app.get('/identity/:username', async (req, res) => {
-    try {
-        const { rows } = await pool.query(
-            'SELECT encrypted_blob, peer_id, display_name FROM identities WHERE username = $1', [req.params.username]
-        );
-        if (rows[0]) {
-            res.json({ blob: rows[0].encrypted_blob, peerId: rows[0].peer_id, displayName: rows[0].display_name });
-        } else {
-            res.status(404).json({ error: "Not Found" });
+    // Recall ("unsend") a queued message, or all queued copies of a group send
+    app.delete('/send/:id', rateLimits.middleware('send'), async (req, res) => {
+        try {
+            const copies = await sentCopies(req, res);
+            if (!copies) return;
+            for (const message of copies) {
+                await removeMessage(message);
+                notifyRecall(message, false);
+            }
+            console.log(`Message ${req.params.id.substring(0, 8)}... recalled by sender (${copies.length} cop${copies.length === 1 ? 'y' : 'ies'})`);
+            res.json({ success: true, recalled: copies.length });
+        } catch (err) {
+            console.error("Recall Error:", err.message);
+            res.status(500).json({ error: "DB Error" });
         }
-    } catch (err) {
-        res.status(500).json({ error: "DB Error" });
+    });
+
+    // Replace the ciphertext of a queued message; copies whose mailbox would go
+    // over quota keep the old data and are reported back
+    app.put('/send/:id', rateLimits.middleware('send'), async (req, res) => {
+        const { data } = req.body;
+        if (!data) return res.status(400).json({ error: "Missing data" });
+        if (typeof data !== 'string') return res.status(400).json({ error: "data must be a string" });
+
+        try {
+            const copies = await sentCopies(req, res);
+            if (!copies) return;
+            const size = Buffer.byteLength(data);
+            const skipped = [];
+            let replaced = 0;
+            let lastUsage = null;
+
+            for (const message of copies) {
+                const usage = await storage.getMailboxUsage({ toHash: message.to_hash, toPeer: message.to_peer });
+                const without = { count: usage.count - 1, bytes: usage.bytes - Number(message.size) };
+                if (quotaExceeded(without, size)) {
+                    skipped.push(mailboxOf(message));
+                    lastUsage = without;
+                    continue;
+                }
+                if (!(await storage.replaceMessageData(message.id, data))) continue;
+                replaced++;
+                delivery.forgetMessage(message.id);
+                notifyRecall(message, true);
+                deliverLive({ ...message, data });
+            }
+
+            if (replaced === 0 && lastUsage) return res.status(507).json(quotaError(lastUsage));
+            console.log(`Message ${req.params.id.substring(0, 8)}... replaced by sender (${replaced} cop${replaced === 1 ? 'y' : 'ies'})`);
+            res.json({ success: true, replaced, skipped });
+        } catch (err) {
+            console.error("Replace Error:", err.message);
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Inbox by HASH (primary)
+    app.get('/inbox/hash/:hash', async (req, res) => {
+        try {
+            if (!(await mailboxAuth.authorizeHash(req.params.hash, bearerToken(req)))) {
+                return res.status(401).json({ error: "Mailbox authentication required" });
+            }
+            const rows = await storage.getMessagesByHash(req.params.hash, { deviceId: req.query.deviceId || null });
+            res.json(rows.map(inboxView));
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Legacy: Inbox by peerId
+    app.get('/inbox/:peerId', async (req, res) => {
+        try {
+            if (!(await mailboxAuth.authorizePeer(req.params.peerId, bearerToken(req)))) {
+                return res.status(401).json({ error: "Mailbox authentication required" });
+            }
+            const rows = await storage.getMessagesByPeer(req.params.peerId, { deviceId: req.query.deviceId || null });
+            res.json(rows.map(inboxView));
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Delete message by ID — only the owner of the addressed mailbox may delete.
+    // With ?deviceId= (or X-Device-Id) this only acks it for that device.
+    app.delete('/inbox/:id', async (req, res) => {
+        try {
+            const message = await storage.getMessage(req.params.id);
+            if (message) {
+                const token = bearerToken(req);
+                const allowed = message.to_hash
+                    ? await mailboxAuth.authorizeHash(message.to_hash, token)
+                    : await mailboxAuth.authorizePeer(message.to_peer, token);
+                if (!allowed) return res.status(401).json({ error: "Mailbox authentication required" });
+
+                const deviceId = req.query.deviceId || req.get('x-device-id');
+                if (deviceId) {
+                    await acknowledgeMessage(message, deviceId);
+                } else {
+                    if ((await storage.listMessageAcks(message.id)).length === 0) await markDelivered(message);
+                    await removeMessage(message);
+                }
+            }
+            res.json({ success: true });
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // =============================================
+    // API: Devices
+    // =============================================
+
+    app.get('/devices/:hash', async (req, res) => {
+        try {
+            if (!(await mailboxAuth.authorizeHash(req.params.hash, bearerToken(req)))) {
+                return res.status(401).json({ error: "Mailbox authentication required" });
+            }
+            const devices = await storage.listDevices(req.params.hash);
+            const online = onlineHashes.get(req.params.hash) || new Set();
+            res.json({
+                count: devices.length,
+                devices: devices.map(d => ({
+                    deviceId: d.device_id,
+                    registeredAt: Number(d.registered_at),
+                    lastSeen: Number(d.last_seen),
+                    online: [...online].some(id => {
+                        const s = io.sockets.sockets.get(id);
+                        return s && s.deviceId === d.device_id;
+                    })
+                }))
+            });
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Unregister a lost or retired device so it stops holding back message removal
+    app.delete('/devices/:hash/:deviceId', async (req, res) => {
+        try {
+            if (!(await mailboxAuth.authorizeHash(req.params.hash, bearerToken(req)))) {
+                return res.status(401).json({ error: "Mailbox authentication required" });
+            }
+            const removed = await storage.removeDevice(req.params.hash, req.params.deviceId);
+            res.json({ success: true, removed });
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // =============================================
+    // API: Identity & Directory
+    // =============================================
+
+    // Identity backups are versioned. A client passes the version it last saw
+    // ("If-Match: \"3\"" or { baseVersion: 3 }, 0 for a first upload) and gets
+    // 409 with the current version if another device wrote in between; without
+    // one the write is unconditional, as before. The last IDENTITY_BACKUP_VERSIONS
+    // blobs are kept and can be listed and fetched through /identity/recover.
+    // The blob and displayName together are the versioned record: changing
+    // either makes a new version. Once an identity has a publicKey, only its
+    // owner may change the record: a mailbox session, or { backupSignature } over
+    // backupMessage(username, currentVersion, blob, displayName) by the key in
+    // force after the write. The newest version written that way is never pruned.
+    const IDENTITY_BACKUP_VERSIONS = Number(process.env.IDENTITY_BACKUP_VERSIONS) || 5;
+
+    // Version a write is conditional on: null for none, NaN when malformed
+    function expectedBlobVersion(req) {
+        const ifMatch = req.get('if-match');
+        if (ifMatch) return Number(ifMatch.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1') || NaN);
+        if (req.body.baseVersion === undefined) return null;
+        return Number.isInteger(req.body.baseVersion) ? req.body.baseVersion : NaN;
     }
-});
 
-// =============================================
-// DEBUG ENDPOINTS
-// =============================================
+    // Claiming a keyless identity is charged like recovery: it's the same guessing surface
+    function allowRecoveryAttempt(req, res, username) {
+        const result = rateLimits.check('recover', { ip: req.ip, identity: username });
+        if (result.allowed) return true;
+        console.warn(`Rate limited recover (${result.scope}) from ${req.ip}`);
+        res.set('Retry-After', String(result.retryAfter));
+        res.status(429).json({ error: "Too many requests", retryAfter: result.retryAfter });
+        return false;
+    }
 
-app.get('/debug/identities', async (req, res) => {
-    try {
-        const { rows } = await pool.query(
-            'SELECT username, peer_id, display_name, timestamp FROM identities'
-        );
-        res.json({
-            count: rows.length,
-            users: rows.map(r => ({
-                mobileHash: r.username,
-                peerId: r.peer_id,
-                displayName: r.display_name,
-                registeredAt: r.timestamp ? new Date(Number(r.timestamp)).toISOString() : null
-            }))
-        });
-    } catch (err) {
-        res.status(500).json({ error: "DB Error" });
+    app.post('/identity', rateLimits.middleware('identity'), async (req, res) => {
+        const { username, blob, peerId, displayName, publicKey, signature, peerKey, peerSignature, backupSignature } = req.body;
+        if (!username || !blob) return res.status(400).json({ error: "Missing fields" });
+        if (publicKey && !parsePublicKey(publicKey)) return res.status(400).json({ error: "Invalid publicKey" });
+        const expected = expectedBlobVersion(req);
+        if (expected !== null && !(Number.isInteger(expected) && expected >= 0)) {
+            return res.status(400).json({ error: "If-Match / baseVersion must be a backup version number" });
+        }
+
+        try {
+            // Check existing entry
+            const existing = await storage.getIdentity(username);
+            const currentVersion = existing ? Number(existing.blob_version) : 0;
+            if (expected !== null && expected !== currentVersion) {
+                return res.status(409).json({ error: "Identity backup was changed by another device", version: currentVersion });
+            }
+
+            // Keep existing peerId / key if none sent
+            const oldPeerId = existing ? existing.peer_id : null;
+            const oldPublicKey = existing ? existing.public_key : null;
+            const finalPeerId = peerId || oldPeerId || null;
+            const finalPublicKey = publicKey || oldPublicKey || null;
+            const finalDisplayName = displayName || (existing ? existing.display_name : null);
+            const peerChanged = finalPeerId !== oldPeerId;
+            const keyChanged = finalPublicKey !== oldPublicKey;
+
+            let source = null;
+            if (peerChanged || keyChanged) {
+                const head = await identityLog.head(username);
+                if (oldPublicKey) {
+                    // Rotation: only the holder of the registered key may move the identity
+                    const signed = mailboxAuth.sessionHash(bearerToken(req)) === username
+                        || verifySignature(oldPublicKey, rotationMessage(username, finalPeerId, finalPublicKey, head && head.entry_hash), signature);
+                    if (!signed) {
+                        return res.status(401).json({
+                            error: "Signature from the registered key required to change peerId or publicKey",
+                            head: head ? head.entry_hash : null
+                        });
+                    }
+                    source = keyChanged ? 'KEY_CHANGE' : 'PEERID_CHANGE';
+                } else if (head && head.source === 'KEY_RESET') {
+                    // Only the key the operator pinned with the reset may take the identity over
+                    if (!allowRecoveryAttempt(req, res, username)) return;
+                    if (!publicKey || publicKey !== head.public_key) {
+                        return res.status(401).json({ error: "Identity was reset: register the publicKey handed to the relay operator" });
+                    }
+                    source = 'RECOVERY';
+                } else if (existing && keyChanged) {
+                    // First key on a mailbox already in use: the holder of its current peerId
+                    // signs for it (peerKey + peerSignature), otherwise it takes a key reset.
+                    // A peerId that was itself changed unsigned vouches for nothing.
+                    if (!allowRecoveryAttempt(req, res, username)) return;
+                    const peerVouches = oldPeerId && !(head && head.source === 'UNVERIFIED_PEERID_CHANGE');
+                    const message = rotationMessage(username, finalPeerId, finalPublicKey, head && head.entry_hash);
+                    if (!peerVouches || !verifyPeerSignature(oldPeerId, peerKey, message, peerSignature)) {
+                        return res.status(401).json({
+                            error: peerVouches
+                                ? "Signature from the current peerId required to register a publicKey on an existing identity"
+                                : "The current peerId was set unsigned: ask the relay operator for a key reset",
+                            head: head ? head.entry_hash : null
+                        });
+                    }
+                    source = 'KEY_REGISTERED';
+                } else if (oldPeerId && peerChanged) {
+                    // Legacy identity without a key: nothing to verify against
+                    if (mailboxAuth.strict) return res.status(401).json({ error: "Register a publicKey before changing peerId" });
+                    source = 'UNVERIFIED_PEERID_CHANGE';
+                } else {
+                    source = 'FIRST_REGISTRATION';
+                }
+
+                // A key bound to a peerId needs that peerId's signature as well, or anyone
+                // could publish their key under somebody else's peerId
+                const binding = rotationMessage(username, finalPeerId, finalPublicKey, head && head.entry_hash);
+                if (finalPublicKey && finalPeerId && !verifyPeerSignature(finalPeerId, peerKey, binding, peerSignature)) {
+                    return res.status(401).json({
+                        error: "Signature from the peerId (peerKey + peerSignature) required to bind it to a publicKey",
+                        head: head ? head.entry_hash : null
+                    });
+                }
+                if (peerChanged && finalPeerId) {
+                    const holder = await storage.getIdentityByPeerId(finalPeerId);
+                    if (holder && holder.username !== username) return res.status(409).json({ error: "peerId is registered to another identity" });
+                }
+            }
+
+            const recordChanged = !existing || existing.encrypted_blob !== blob || (existing.display_name || null) !== finalDisplayName;
+            const authenticated = mailboxAuth.sessionHash(bearerToken(req)) === username
+                || (!!finalPublicKey && verifySignature(finalPublicKey, backupMessage(username, currentVersion, blob, finalDisplayName), backupSignature));
+            if (recordChanged && oldPublicKey && !authenticated) {
+                return res.status(401).json({
+                    error: "Mailbox session or backupSignature from the registered key required to change the backup or displayName",
+                    version: currentVersion
+                });
+            }
+
+            if (source === 'FIRST_REGISTRATION') {
+                console.log(`✅ First registration: ${(displayName || username.substring(0, 10))} -> Hash: ${username.substring(0, 10)}...`);
+            } else if (peerChanged) {
+                console.warn(`⚠️ PEERID CHANGED (${source}) for ${(displayName || username.substring(0, 10))}! Old=${(oldPeerId || 'none').substring(0, 16)}... New=${(finalPeerId || 'none').substring(0, 16)}...`);
+            }
+
+            // Only a changed record gets a new version; the write itself is a compare-and-set
+            // against what we read, so a concurrent upload can't be overwritten
+            const timestamp = Date.now();
+            const version = recordChanged ? currentVersion + 1 : currentVersion;
+            const saved = await storage.saveIdentity({
+                username, blob, peerId: finalPeerId, displayName: finalDisplayName,
+                publicKey: finalPublicKey, timestamp, blobVersion: version, expectedVersion: currentVersion
+            });
+            if (!saved) {
+                const latest = await storage.getIdentity(username);
+                return res.status(409).json({
+                    error: "Identity backup was changed by another device",
+                    version: latest ? Number(latest.blob_version) : 0
+                });
+            }
+            if (recordChanged) {
+                await storage.addIdentityBackup({ username, version, blob, timestamp, authenticated });
+                await storage.pruneIdentityBackups(username, IDENTITY_BACKUP_VERSIONS);
+            }
+
+            let entry = null;
+            if (source) {
+                entry = await identityLog.append({
+                    username, displayName: finalDisplayName, oldPeerId, newPeerId: finalPeerId,
+                    publicKey: finalPublicKey, source
+                });
+            }
+
+            console.log(`Identity saved: hash=${username.substring(0, 10)}... name=${displayName || 'none'} v${version}`);
+            res.set('ETag', `"${version}"`);
+            res.json({ success: true, head: entry ? entry.hash : undefined, version });
+        } catch (err) {
+            console.error("Identity Save Error:", err.message);
+            res.status(500).json({ error: "Storage failed: " + err.message });
+        }
+    });
+
+    // Public, hash-chained PeerId / key history — clients verify it and warn on changes
+    app.get('/identity/:username/history', rateLimits.middleware('directory'), async (req, res) => {
+        try {
+            const entries = await identityLog.history(req.params.username);
+            res.json({
+                username: req.params.username,
+                head: entries.length ? entries[entries.length - 1].hash : null,
+                intact: verifyChain(entries),
+                entries
+            });
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Who may see this mailbox's presence: { username, visibility: 'everyone' | 'online' | 'nobody' }
+    app.post('/identity/presence', rateLimits.middleware('identity'), async (req, res) => {
+        const { username, visibility } = req.body;
+        if (!username) return res.status(400).json({ error: "Missing username" });
+        if (!PRESENCE_VISIBILITY.includes(visibility)) {
+            return res.status(400).json({ error: `visibility must be one of: ${PRESENCE_VISIBILITY.join(', ')}` });
+        }
+
+        try {
+            if (!(await mailboxAuth.authorizeHash(username, bearerToken(req)))) {
+                return res.status(401).json({ error: "Mailbox authentication required" });
+            }
+            if (!(await storage.setPresenceVisibility(username, visibility))) return res.status(404).json({ error: "Not Found" });
+            res.json({ success: true, visibility });
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Recover Identity by hash
+    // { hashKey } returns the current blob and the kept versions; { hashKey, version }
+    // returns that older backup instead.
+    app.post('/identity/recover', rateLimits.middleware('recover'), async (req, res) => {
+        const { hashKey, version } = req.body;
+        if (!hashKey) return res.status(400).json({ error: "Missing hashKey" });
+        if (version !== undefined && !(Number.isInteger(version) && version > 0)) {
+            return res.status(400).json({ error: "version must be a backup version number" });
+        }
+
+        try {
+            if (version !== undefined) {
+                const backup = await storage.getIdentityBackup(hashKey, version);
+                if (!backup) return res.json({ found: false });
+                return res.json({ found: true, version, blob: backup.encrypted_blob, timestamp: Number(backup.timestamp) });
+            }
+
+            const identity = await storage.getIdentity(hashKey);
+            if (identity) {
+                const versions = await storage.listIdentityBackups(hashKey);
+                res.json({
+                    found: true,
+                    blob: identity.encrypted_blob,
+                    peerId: identity.peer_id,
+                    displayName: identity.display_name,
+                    version: Number(identity.blob_version),
+                    versions: versions.map(v => ({
+                        version: Number(v.version), size: Number(v.size), timestamp: Number(v.timestamp),
+                        authenticated: !!Number(v.authenticated)
+                    }))
+                });
+            } else {
+                res.json({ found: false });
+            }
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Batch Contact Discovery
+    // The client truncates each contact hash to DISCOVERY_PREFIX_LENGTH characters and
+    // sends only those prefixes; the relay answers with every identity in those
+    // buckets and the client keeps the ones it actually knows. The relay never sees
+    // which contacts were asked for, only buckets each shared by many possible hashes.
+    //   POST /directory/discover { prefixes: [...] } -> { prefixLength, candidates: [{ hash, peerId, displayName }] }
+    // Needs a mailbox session (Authorization: Bearer), so walking the directory costs
+    // a keyed identity and not just fresh addresses. Charged one 'discover' token per
+    // bucket, per IP and per mailbox.
+    const DISCOVERY_PREFIX_LENGTH = Number(process.env.DISCOVERY_PREFIX_LENGTH) || 4;
+    const DISCOVERY_MAX_PREFIXES = Number(process.env.DISCOVERY_MAX_PREFIXES) || 1000;
+
+    // Unique prefixes of the request, or null when malformed
+    function discoveryPrefixes(body) {
+        const prefixes = body && body.prefixes;
+        if (!Array.isArray(prefixes)) return null;
+        if (!prefixes.every(p => typeof p === 'string' && p.length === DISCOVERY_PREFIX_LENGTH)) return null;
+        return [...new Set(prefixes)];
     }
-});
 
-app.get('/debug/online', (req, res) => {
-    const peers = [];
-    onlinePeers.forEach((socketId, peerId) => {
-        peers.push({ type: 'peerId', key: peerId.substring(0, 20) + '...', socketId });
+    app.post('/directory/discover', rateLimits.middleware('discover', {
+        // Malformed or oversized requests are refused below; charge them like a single lookup
+        costOf: req => {
+            const prefixes = discoveryPrefixes(req.body);
+            return prefixes && prefixes.length > 0 && prefixes.length <= DISCOVERY_MAX_PREFIXES ? prefixes.length : 1;
+        }
+    }), async (req, res) => {
+        if (!mailboxAuth.sessionHash(bearerToken(req))) return res.status(401).json({ error: "Mailbox authentication required" });
+        const prefixes = discoveryPrefixes(req.body);
+        if (!prefixes) {
+            return res.status(400).json({ error: `prefixes must be an array of ${DISCOVERY_PREFIX_LENGTH}-character hash prefixes`, prefixLength: DISCOVERY_PREFIX_LENGTH });
+        }
+        if (prefixes.length > DISCOVERY_MAX_PREFIXES) {
+            return res.status(413).json({ error: `At most ${DISCOVERY_MAX_PREFIXES} prefixes per request` });
+        }
+
+        try {
+            const rows = await storage.listIdentitiesByPrefixes(prefixes, DISCOVERY_PREFIX_LENGTH);
+            res.json({
+                prefixLength: DISCOVERY_PREFIX_LENGTH,
+                candidates: rows.map(row => ({ hash: row.username, peerId: row.peer_id, displayName: row.display_name }))
+            });
+        } catch (err) {
+            console.error("Discovery Error:", err.message);
+            res.status(500).json({ error: "DB Error" });
+        }
     });
-    onlineHashes.forEach((socketId, hash) => {
-        peers.push({ type: 'hash', key: hash.substring(0, 16) + '...', socketId });
+
+    // Directory Lookup
+    app.get('/directory/:hashKey', rateLimits.middleware('directory'), async (req, res) => {
+        const { hash, domain } = federation.parseAddress(req.params.hashKey);
+        if (domain) {
+            if (!federation.enabled || !federation.isAllowed(domain)) return res.status(400).json({ error: `Unknown relay: ${domain}` });
+            try {
+                return res.json({ ...(await federation.resolve(hash, domain)), relay: domain });
+            } catch (err) {
+                console.error(`Remote directory lookup on ${domain} failed:`, err.message);
+                return res.status(502).json({ error: "Remote relay unavailable" });
+            }
+        }
+
+        try {
+            const identity = await storage.getIdentity(hash);
+            if (identity) {
+                res.json({ found: true, peerId: identity.peer_id, displayName: identity.display_name });
+            } else {
+                res.json({ found: false });
+            }
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
     });
-    res.json({ count: peers.length, peers });
-});
 
-app.get('/debug/messages', async (req, res) => {
-    try {
-        const { rows } = await pool.query(
-            'SELECT id, to_hash, to_peer, timestamp FROM messages ORDER BY timestamp DESC LIMIT 50'
-        );
-        res.json({
-            count: rows.length,
-            messages: rows.map(r => ({
-                id: r.id,
-                toHash: r.to_hash ? r.to_hash.substring(0, 16) + '...' : null,
-                toPeer: r.to_peer ? r.to_peer.substring(0, 20) + '...' : null,
-                age: Math.round((Date.now() - Number(r.timestamp)) / 1000) + 's ago'
-            }))
+    // Legacy endpoint
+    app.get('/identity/:username', async (req, res) => {
+        try {
+            const identity = await storage.getIdentity(req.params.username);
+            if (identity) {
+                res.set('ETag', `"${identity.blob_version}"`);
+                res.json({ blob: identity.encrypted_blob, peerId: identity.peer_id, displayName: identity.display_name, version: Number(identity.blob_version) });
+            } else {
+                res.status(404).json({ error: "Not Found" });
+            }
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // =============================================
+    // API: Attachments
+    // =============================================
+    app.use('/attachments', createAttachmentRouter({
+        storage,
+        blobs,
+        limit: rateLimits.middleware('attachment'),
+        ownerOf: req => {
+            const hash = mailboxAuth.sessionHash(bearerToken(req));
+            return hash ? `mailbox:${hash}` : `ip:${req.ip}`;
+        },
+        defaultTtl: MESSAGE_DEFAULT_TTL,
+        maxTtl: MESSAGE_MAX_TTL
+    }));
+
+    // =============================================
+    // API: Push Endpoints
+    // =============================================
+    app.use('/push', createPushRouter({ storage, push, mailboxAuth }));
+
+    // =============================================
+    // API: Federation (server-to-server, signed)
+    // =============================================
+    app.use('/federation', federation.router);
+
+    // =============================================
+    // API: Group Mailboxes
+    // =============================================
+    app.use('/groups', createGroupRouter({
+        storage,
+        mailboxAuth,
+        notify: (hashes, payload) => hashes.forEach(hash => relayEvent('group-update', hash, payload))
+    }));
+
+    // =============================================
+    // ADMIN API (only with an admin token)
+    // =============================================
+    if (adminToken) {
+        app.use('/admin', createAdminRouter({
+            storage,
+            identityLog,
+            token: adminToken,
+            retention,
+            onlinePeers,
+            onlineHashes
+        }));
+    }
+
+    // =============================================
+    // START / STOP
+    // =============================================
+    // Resolves with the bound port (pass port 0 for an ephemeral one)
+    async function start() {
+        await initDB();
+        await cluster.start();
+        retention.start();
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, () => {
+                server.off('error', reject);
+                resolve();
+            });
         });
-    } catch (err) {
-        res.status(500).json({ error: "DB Error" });
+        const bound = server.address().port;
+        federation.start(bound);
+        console.log(`Ghost Relay running on port ${bound} (${storage.name})`);
+        if (!adminToken) console.log('Admin API disabled (set ADMIN_TOKEN to enable)');
+        return bound;
     }
-});
 
-app.get('/debug/history', async (req, res) => {
-    try {
-        const { rows } = await pool.query(
-            'SELECT * FROM peerid_history ORDER BY timestamp DESC LIMIT 100'
-        );
-        res.json({
-            count: rows.length,
-            changes: rows.map(r => ({
-                user: r.display_name || r.username_hash.substring(0, 10) + '...',
-                oldPeerId: r.old_peer_id ? r.old_peer_id.substring(0, 20) + '...' : null,
-                newPeerId: r.new_peer_id ? r.new_peer_id.substring(0, 20) + '...' : null,
-                source: r.source,
-                when: new Date(Number(r.timestamp)).toISOString()
-            }))
+    // Resolves true once nothing is in flight, false if the deadline passes first
+    async function settle(deadline) {
+        while (inFlightRequests > 0 || inFlightWork.size > 0) {
+            if (Date.now() >= deadline) return false;
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        return true;
+    }
+
+    // Waits for a shutdown step, but never past the deadline
+    async function beforeDeadline(what, promise, deadline) {
+        let timer;
+        const timedOut = new Promise(resolve => {
+            timer = setTimeout(() => resolve(true), Math.max(deadline - Date.now(), 0));
         });
-    } catch (err) {
-        res.status(500).json({ error: "DB Error" });
+        try {
+            if (await Promise.race([promise.then(() => false), timedOut])) {
+                console.warn(`⚠️ Shutdown: gave up waiting for ${what}`);
+            }
+        } catch (err) {
+            console.error(`Shutdown error (${what}):`, err.message);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Queued messages stay in storage for the next instance; live pushes and
+    // push retries in progress are what this shutdown drops
+    async function logUndelivered({ unacked, droppedRetries }) {
+        try {
+            const queue = await storage.getQueueStats([]);
+            console.log(`🛑 Undelivered at shutdown: ${queue.depth} queued message(s), oldest ${Math.round(queue.oldestAgeSeconds)}s; ${unacked} live push(es) unacked; ${droppedRetries} push retr(ies) dropped`);
+        } catch (err) {
+            console.error("Shutdown summary error:", err.message);
+        }
     }
-});
 
-app.get('/debug/flush', async (req, res) => {
+    // Graceful shutdown (SIGTERM): stop accepting connections, let in-flight
+    // requests and socket writes finish while clients are still connected, then
+    // tell clients to reconnect elsewhere ('relay-shutdown'), stop background
+    // work and close storage (unless it was passed in: then it belongs to the
+    // caller). Whatever is still running at the deadline is cut off.
+    let stopping = null;
+    function stop({ deadlineMs = shutdownDeadlineMs } = {}) {
+        if (stopping) return stopping;
+        stopping = (async () => {
+            const deadline = Date.now() + deadlineMs;
+            draining = true;
+            console.log(`🛑 Shutting down: draining ${inFlightRequests} request(s), ${io.engine.clientsCount} socket(s)`);
+            const closed = server.listening ? new Promise(resolve => server.close(() => resolve())) : Promise.resolve();
+
+            if (!(await settle(deadline))) {
+                console.warn(`⚠️ Shutdown deadline reached with ${inFlightRequests} request(s) and ${inFlightWork.size} write(s) in flight`);
+            }
+
+            const unacked = delivery.size();
+            calls.stop();
+            [...pendingCallActions.keys()].forEach(requestId => settleCallAction(requestId, { error: "Relay is shutting down" }));
+            io.emit('relay-shutdown', { reconnect: true });
+            io.disconnectSockets(true);
+            // Disconnect handlers record each device's last-seen
+            await settle(deadline);
+
+            federation.stop();
+            const droppedRetries = push.pendingRetries();
+            push.stop();
+            delivery.clear();
+            await beforeDeadline('retention sweep', retention.stop(), deadline);
+            await beforeDeadline('cluster', cluster.stop(), deadline);
+            await logUndelivered({ unacked, droppedRetries });
+
+            io.close();
+            server.closeAllConnections();
+            await beforeDeadline('HTTP server', closed, deadline);
+            if (!baseStorage) await beforeDeadline('storage', storage.close(), deadline);
+            console.log('🛑 Relay stopped');
+        })();
+        return stopping;
+    }
+
+    return { app, io, server, storage, start, stop };
+}
+
+module.exports = { createRelay };
+
+// `node index.js`: run a relay configured from the environment
+if (require.main === module) {
+    let relay;
     try {
-        await pool.query('DELETE FROM identities');
-        await pool.query('DELETE FROM messages');
-        await pool.query('DELETE FROM peerid_history');
-        res.json({ success: true, message: "Database flushed (identities, messages, history)." });
+        relay = createRelay();
     } catch (err) {
-        res.status(500).json({ error: "Flush Failed" });
+        console.error('❌ Relay configuration error:', err.message);
+        process.exit(1);
     }
-});
+    relay.start().catch(err => {
+        console.error("Failed to initialize database:", err);
+        process.exit(1);
+    });
 
-// =============================================
-// START SERVER
-// =============================================
-initDB().then(() => {
-    server.listen(PORT, () => {
-        console.log(`Ghost Relay running on port ${PORT} (PostgreSQL)`);
-    });
-}).catch(err => {
-    console.error("Failed to initialize database:", err);
-    process.exit(1);
-});
+    // Deploys send SIGTERM; Ctrl-C sends SIGINT
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+        process.once(signal, () => {
+            console.log(`${signal} received`);
+            relay.stop().then(() => process.exit(0), err => {
+                console.error("Shutdown failed:", err);
+                process.exit(1);
+            });
+        });
+    }
+}
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const express = require('express');
+const { parsePublicKey } = require('./auth');
+
+// =============================================
+// ADMIN API — token-protected inspection and maintenance
+// =============================================
+// Mounted under /admin only when ADMIN_TOKEN is configured; otherwise the
+// routes do not exist at all. Every request needs
+//   Authorization: Bearer <ADMIN_TOKEN>
+// Reads are GET; anything destructive is POST and scoped to one mailbox or
+// identity. Every action, read or write, is recorded in admin_audit.
+
+function tokenMatches(expected, provided) {
+    // Compare digests so length differences don't leak through timing
+    const a = crypto.createHash('sha256').update(expected).digest();
+    const b = crypto.createHash('sha256').update(provided || '').digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+function createAdminRouter({ storage, identityLog, token, retention, onlinePeers, onlineHashes }) {
+    const router = express.Router();
+
+    async function audit(req, action, target = null, detail = null) {
+        const entry = {
+            action,
+            target,
+            actor: `${req.ip} ${req.get('user-agent') || ''}`.trim(),
+            detail: detail ? JSON.stringify(detail) : null,
+            timestamp: Date.now()
+        };
+        console.log(`🛡️ ADMIN ${action}${target ? ' ' + target.substring(0, 16) : ''} by ${req.ip}`);
+        try {
+            await storage.addAuditEntry(entry);
+        } catch (err) {
+            console.error("Audit Log Error:", err.message);
+        }
+    }
+
+    router.use((req, res, next) => {
+        const header = req.get('authorization') || '';
+        const provided = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+        if (!tokenMatches(token, provided)) {
+            console.warn(`Rejected admin request ${req.method} ${req.path} from ${req.ip}`);
+            return res.status(401).json({ error: "Admin authentication required" });
+        }
+        next();
+    });
+
+    // ---------- Inspection ----------
+
+    router.get('/identities', async (req, res) => {
+        try {
+            const rows = await storage.listIdentities();
+            await audit(req, 'list-identities');
+            res.json({
+                count: rows.length,
+                users: rows.map(r => ({
+                    mobileHash: r.username,
+                    peerId: r.peer_id,
+                    displayName: r.display_name,
+                    registeredAt: r.timestamp ? new Date(Number(r.timestamp)).toISOString() : null
+                }))
+            });
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    router.get('/online', async (req, res) => {
+        const peers = [];
+        onlinePeers.forEach((sockets, peerId) => {
+            sockets.forEach(socketId => peers.push({ type: 'peerId', key: peerId.substring(0, 20) + '...', socketId }));
+        });
+        onlineHashes.forEach((sockets, hash) => {
+            sockets.forEach(socketId => peers.push({ type: 'hash', key: hash.substring(0, 16) + '...', socketId }));
+        });
+        await audit(req, 'list-online');
+        res.json({ count: peers.length, peers });
+    });
+
+    router.get('/messages', async (req, res) => {
+        try {
+            const rows = await storage.listRecentMessages(50);
+            await audit(req, 'list-messages');
+            res.json({
+                count: rows.length,
+                messages: rows.map(r => ({
+                    id: r.id,
+                    toHash: r.to_hash ? r.to_hash.substring(0, 16) + '...' : null,
+                    toPeer: r.to_peer ? r.to_peer.substring(0, 20) + '...' : null,
+                    size: Number(r.size),
+                    age: Math.round((Date.now() - Number(r.timestamp)) / 1000) + 's ago',
+                    expiresIn: Math.round((Number(r.expires_at) - Date.now()) / 1000) + 's'
+                }))
+            });
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    router.get('/history', async (req, res) => {
+        try {
+            const rows = await storage.listPeerIdHistory(100);
+            await audit(req, 'list-history');
+            res.json({
+                count: rows.length,
+                changes: rows.map(r => ({
+                    user: r.display_name || r.username_hash.substring(0, 10) + '...',
+                    oldPeerId: r.old_peer_id ? r.old_peer_id.substring(0, 20) + '...' : null,
+                    newPeerId: r.new_peer_id ? r.new_peer_id.substring(0, 20) + '...' : null,
+                    source: r.source,
+                    when: new Date(Number(r.timestamp)).toISOString()
+                }))
+            });
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    router.get('/audit', async (req, res) => {
+        try {
+            const limit = Math.min(Number(req.query.limit) || 100, 1000);
+            const rows = await storage.listAuditEntries(limit);
+            res.json({
+                count: rows.length,
+                entries: rows.map(r => ({
+                    action: r.action,
+                    target: r.target,
+                    actor: r.actor,
+                    detail: r.detail ? JSON.parse(r.detail) : null,
+                    when: new Date(Number(r.timestamp)).toISOString()
+                }))
+            });
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // ---------- Maintenance (POST only) ----------
+
+    // Drop every queued message for one hash or legacy peerId mailbox
+    router.post('/mailboxes/:mailbox/flush', async (req, res) => {
+        try {
+            const removed = await storage.deleteMailboxMessages(req.params.mailbox);
+            await audit(req, 'flush-mailbox', req.params.mailbox, { removed });
+            res.json({ success: true, removed });
+        } catch (err) {
+            res.status(500).json({ error: "Flush Failed" });
+        }
+    });
+
+    // Run the retention sweep now instead of waiting for the next interval
+    router.post('/purge-expired', async (req, res) => {
+        try {
+            const removed = await retention.sweep();
+            await audit(req, 'purge-expired', null, removed);
+            res.json({ success: true, removed });
+        } catch (err) {
+            res.status(500).json({ error: "Purge Failed" });
+        }
+    });
+
+    router.post('/identities/:username/remove', async (req, res) => {
+        try {
+            const removed = await storage.deleteIdentity(req.params.username);
+            await audit(req, 'remove-identity', req.params.username, { removed });
+            if (!removed) return res.status(404).json({ error: "Not Found" });
+            await identityLog.append({ username: req.params.username, source: 'IDENTITY_REMOVED' });
+            res.json({ success: true });
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Recovery for a user who lost their key, after out-of-band verification:
+    // { publicKey } is the new key they handed over. It is pinned in the
+    // KEY_RESET entry, and only a POST /identity registering exactly that key
+    // may then set it, without the old key's signature. The peerId it comes
+    // with still signs for itself. Contacts see KEY_RESET and then RECOVERY in
+    // the log.
+    router.post('/identities/:username/reset-key', async (req, res) => {
+        const { publicKey } = req.body || {};
+        if (!parsePublicKey(publicKey)) return res.status(400).json({ error: "publicKey of the recovering user required" });
+
+        try {
+            const identity = await storage.getIdentity(req.params.username);
+            await audit(req, 'reset-key', req.params.username, { found: !!identity, publicKey });
+            if (!identity) return res.status(404).json({ error: "Not Found" });
+
+            await storage.saveIdentity({
+                username: identity.username, blob: identity.encrypted_blob, peerId: identity.peer_id,
+                displayName: identity.display_name, publicKey: null, timestamp: Date.now(),
+                blobVersion: Number(identity.blob_version)
+            });
+            await identityLog.append({
+                username: identity.username, displayName: identity.display_name,
+                oldPeerId: identity.peer_id, newPeerId: identity.peer_id, publicKey, source: 'KEY_RESET'
+            });
+            res.json({ success: true });
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const express = require('express');
+const { bearerToken } = require('./auth');
+
+// =============================================
+// ATTACHMENTS — resumable uploads, ranged downloads
+// =============================================
+// Attachments are opaque (client-encrypted) blobs kept apart from message
+// envelopes; a message only carries the attachment id (and its key, inside
+// the encrypted data).
+//
+//   POST   /attachments { size, ttl }         -> { id, uploadToken, chunkBytes, expiresAt }
+//   PUT    /attachments/:id                   raw chunk body, Upload-Offset: <bytes received so far>
+//   GET    /attachments/:id/status            -> { size, received, complete, expiresAt }
+//   GET    /attachments/:id                   Range: bytes=start-end supported (206)
+//   DELETE /attachments/:id                   uploader only
+//
+// Chunks must arrive in order: an interrupted upload asks for its status and
+// continues from `received`. Writes need "Authorization: Bearer <uploadToken>";
+// downloads only need the unguessable id. Attachments expire like messages.
+//
+// Declared sizes count against quotas from creation until expiry or delete:
+// ATTACHMENT_QUOTA_BYTES per uploader (their mailbox when signed in, else
+// their IP) and ATTACHMENT_TOTAL_MAX_BYTES for the whole relay. Over either,
+// POST answers 507 with the usage.
+
+const ID_PATTERN = /^[a-f0-9]{32}$/;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token || '').digest('hex');
+}
+
+// Single-range "bytes=a-b", "bytes=a-" or "bytes=-n"; null if absent, false if unsatisfiable
+function parseRange(header, size) {
+    if (!header) return null;
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === '' && match[2] === '')) return false;
+    let start;
+    let end;
+    if (match[1] === '') {
+        start = Math.max(size - Number(match[2]), 0);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+    if (start > end || start >= size) return false;
+    return { start, end };
+}
+
+function createAttachmentRouter({
+    storage,
+    blobs,
+    limit = (req, res, next) => next(),
+    ownerOf = req => `ip:${req.ip}`,
+    defaultTtl,
+    maxTtl,
+    maxBytes = Number(process.env.ATTACHMENT_MAX_BYTES) || 100 * 1024 * 1024,
+    chunkBytes = Number(process.env.ATTACHMENT_CHUNK_BYTES) || 4 * 1024 * 1024,
+    quotaBytes = Number(process.env.ATTACHMENT_QUOTA_BYTES) || 1024 * 1024 * 1024,
+    totalMaxBytes = Number(process.env.ATTACHMENT_TOTAL_MAX_BYTES) || 20 * 1024 * 1024 * 1024
+}) {
+    const router = express.Router();
+
+    router.param('id', (req, res, next, id) => {
+        if (!ID_PATTERN.test(id)) return res.status(404).json({ error: "Not Found" });
+        next();
+    });
+
+    function isUploader(req, attachment) {
+        const a = Buffer.from(attachment.token_hash, 'hex');
+        const b = Buffer.from(hashToken(bearerToken(req)), 'hex');
+        return crypto.timingSafeEqual(a, b);
+    }
+
+    function quotaError(usage, size) {
+        return {
+            error: usage.totalBytes + size > totalMaxBytes
+                ? `Relay attachment storage is full: limit is ${totalMaxBytes} bytes`
+                : `Attachment quota exceeded: limit is ${quotaBytes} bytes`,
+            quota: { maxBytes: quotaBytes, bytes: usage.bytes, totalMaxBytes, totalBytes: usage.totalBytes }
+        };
+    }
+
+    function describe(attachment) {
+        const size = Number(attachment.size);
+        const received = Number(attachment.received);
+        return { id: attachment.id, size, received, complete: received === size, expiresAt: Number(attachment.expires_at) };
+    }
+
+    router.post('/', limit, async (req, res) => {
+        const { size, ttl } = req.body;
+        if (!Number.isInteger(size) || size <= 0) return res.status(400).json({ error: "size must be a positive number of bytes" });
+        if (size > maxBytes) return res.status(413).json({ error: `Attachment limit is ${maxBytes} bytes` });
+        if (ttl !== undefined && !(Number.isFinite(ttl) && ttl > 0)) return res.status(400).json({ error: "ttl must be a positive number of seconds" });
+
+        const id = crypto.randomBytes(16).toString('hex');
+        const uploadToken = crypto.randomBytes(32).toString('base64url');
+        const owner = ownerOf(req);
+        const timestamp = Date.now();
+        const expiresAt = timestamp + Math.min(ttl || defaultTtl, maxTtl) * 1000;
+        try {
+            const usage = await storage.getAttachmentUsage(owner);
+            if (usage.bytes + size > quotaBytes || usage.totalBytes + size > totalMaxBytes) {
+                console.warn(`Attachment quota: owner=${owner.substring(0, 16)} (${usage.bytes} bytes, relay ${usage.totalBytes} bytes)`);
+                return res.status(507).json(quotaError(usage, size));
+            }
+            await storage.createAttachment({ id, size, tokenHash: hashToken(uploadToken), owner, expiresAt, timestamp });
+            res.json({ id, uploadToken, chunkBytes, expiresAt });
+        } catch (err) {
+            console.error("Attachment Create Error:", err.message);
+            res.status(500).json({ error: "Storage failed" });
+        }
+    });
+
+    router.put('/:id', express.raw({ type: () => true, limit: chunkBytes }), async (req, res) => {
+        const offset = Number(req.get('upload-offset'));
+        const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+        if (!Number.isInteger(offset) || offset < 0) return res.status(400).json({ error: "Missing or invalid Upload-Offset header" });
+        if (chunk.length === 0) return res.status(400).json({ error: "Empty chunk" });
+
+        try {
+            const attachment = await storage.getAttachment(req.params.id);
+            if (!attachment) return res.status(404).json({ error: "Not Found" });
+            if (!isUploader(req, attachment)) return res.status(401).json({ error: "Upload token required" });
+
+            const received = Number(attachment.received);
+            if (offset !== received) {
+                return res.status(409).json({ error: "Upload-Offset does not match bytes received", received });
+            }
+            if (offset + chunk.length > Number(attachment.size)) {
+                return res.status(400).json({ error: "Chunk exceeds declared size" });
+            }
+
+            // Claim the range first so two writers can't interleave, give it back if the write fails
+            if (!(await storage.advanceAttachment(attachment.id, offset, offset + chunk.length))) {
+                return res.status(409).json({ error: "Concurrent upload at this offset" });
+            }
+            try {
+                await blobs.write(attachment.id, offset, chunk);
+            } catch (err) {
+                await storage.advanceAttachment(attachment.id, offset + chunk.length, offset);
+                throw err;
+            }
+
+            res.json(describe({ ...attachment, received: offset + chunk.length }));
+        } catch (err) {
+            console.error("Attachment Upload Error:", err.message);
+            res.status(500).json({ error: "Storage failed" });
+        }
+    });
+
+    router.get('/:id/status', async (req, res) => {
+        try {
+            const attachment = await storage.getAttachment(req.params.id);
+            if (!attachment) return res.status(404).json({ error: "Not Found" });
+            res.json(describe(attachment));
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    router.get('/:id', async (req, res) => {
+        try {
+            const attachment = await storage.getAttachment(req.params.id);
+            if (!attachment) return res.status(404).json({ error: "Not Found" });
+            const info = describe(attachment);
+            if (!info.complete) return res.status(409).json({ error: "Upload not complete", received: info.received, size: info.size });
+
+            const range = parseRange(req.get('range'), info.size);
+            if (range === false) {
+                res.set('Content-Range', `bytes */${info.size}`);
+                return res.status(416).json({ error: "Range Not Satisfiable" });
+            }
+            const { start, end } = range || { start: 0, end: info.size - 1 };
+
+            res.status(range ? 206 : 200);
+            res.set({
+                'Content-Type': 'application/octet-stream',
+                'Content-Length': String(end - start + 1),
+                'Accept-Ranges': 'bytes'
+            });
+            if (range) res.set('Content-Range', `bytes ${start}-${end}/${info.size}`);
+
+            blobs.read(attachment.id, start, end)
+                .on('error', err => {
+                    console.error("Attachment Download Error:", err.message);
+                    res.destroy(err);
+                })
+                .pipe(res);
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    router.delete('/:id', async (req, res) => {
+        try {
+            const attachment = await storage.getAttachment(req.params.id);
+            if (!attachment) return res.json({ success: true });
+            if (!isUploader(req, attachment)) return res.status(401).json({ error: "Upload token required" });
+            await blobs.remove(attachment.id);
+            await storage.deleteAttachment(attachment.id);
+            res.json({ success: true });
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Oversized chunks fail in the body parser, before any route runs
+    router.use((err, req, res, next) => {
+        if (err.type === 'entity.too.large') return res.status(413).json({ error: `Chunk limit is ${chunkBytes} bytes` });
+        next(err);
+    });
+
+    return router;
+}
+
+module.exports = { createAttachmentRouter };
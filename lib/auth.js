@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+
+// =============================================
+// MAILBOX AUTH — signed challenge / session tokens
+// =============================================
+// A mailbox (identity hash) is "protected" once a publicKey has been
+// registered for it via POST /identity. Reading, deleting and joining a
+// protected mailbox requires proof of the matching private key:
+//
+//   1. POST /auth/challenge { hash }                 -> { nonce, expiresAt }
+//   2. client signs "ghost-relay:<hash>:<nonce>" with its private key
+//   3. POST /auth/verify { hash, nonce, signature }  -> { token, expiresAt }
+//   4. send "Authorization: Bearer <token>" (HTTP) or { token } (socket join)
+//
+// Supported keys: raw Ed25519 (32 bytes, base64), or any SPKI key as PEM /
+// base64 DER. EC signatures use the WebCrypto (IEEE P1363) encoding.
+//
+// Nothing lives in one process, so any instance can answer any step:
+// challenges are rows in storage (single use), and session tokens are
+// "<base64url hash>.<expiresAt>.<HMAC>" checked against a shared secret,
+// AUTH_SECRET or else one generated once and kept in storage.
+//
+// MAILBOX_AUTH=strict additionally refuses mailboxes with no registered key.
+
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// Identity hashes and peerIds: hex, base58, base64(url) text of sane length
+const HASH_PATTERN = /^[A-Za-z0-9+/=_.:-]{1,128}$/;
+
+function isValidHash(hash) {
+    return typeof hash === 'string' && HASH_PATTERN.test(hash);
+}
+
+function parsePublicKey(publicKey) {
+    if (typeof publicKey !== 'string' || !publicKey) return null;
+    try {
+        if (publicKey.includes('-----BEGIN')) return crypto.createPublicKey(publicKey);
+        const raw = Buffer.from(publicKey, 'base64');
+        if (raw.length === 32) {
+            return crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, raw]), format: 'der', type: 'spki' });
+        }
+        return crypto.createPublicKey({ key: raw, format: 'der', type: 'spki' });
+    } catch (err) {
+        return null;
+    }
+}
+
+function challengeMessage(hash, nonce) {
+    return Buffer.from(`ghost-relay:${hash}:${nonce}`, 'utf8');
+}
+
+function verifySignature(publicKey, message, signature) {
+    const key = parsePublicKey(publicKey);
+    if (!key || typeof signature !== 'string') return false;
+    try {
+        const sig = Buffer.from(signature, 'base64');
+        const type = key.asymmetricKeyType;
+        if (type === 'ed25519' || type === 'ed448') return crypto.verify(null, message, key, sig);
+        if (type === 'ec') return crypto.verify('sha256', message, { key, dsaEncoding: 'ieee-p1363' }, sig);
+        return crypto.verify('sha256', message, key, sig);
+    } catch (err) {
+        return false;
+    }
+}
+
+function bearerToken(req) {
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+function createMailboxAuth({
+    storage,
+    mode = process.env.MAILBOX_AUTH || 'optional',
+    secret = process.env.AUTH_SECRET,
+    challengeTtlMs = 2 * 60 * 1000,
+    sessionTtlMs = 24 * 60 * 60 * 1000,
+    maxChallengesPerHash = 5,
+    maxChallenges = Number(process.env.AUTH_MAX_CHALLENGES) || 10000
+} = {}) {
+    const strict = mode === 'strict';
+
+    // Every instance must sign sessions with the same key
+    async function init() {
+        if (!secret) secret = await storage.ensureSecret('session', crypto.randomBytes(32).toString('base64url'));
+    }
+
+    function isProtected(identity) {
+        return strict || !!(identity && identity.public_key);
+    }
+
+    // Outstanding challenges are capped per hash (the oldest make room) and in
+    // total; returns null while the relay already holds maxChallenges
+    async function issueChallenge(hash) {
+        const now = Date.now();
+        if (await storage.countChallenges(now) >= maxChallenges) return null;
+        await storage.trimChallenges(hash, maxChallengesPerHash - 1);
+
+        const nonce = crypto.randomBytes(24).toString('base64url');
+        const expiresAt = now + challengeTtlMs;
+        await storage.saveChallenge({ nonce, hash, expiresAt });
+        return { nonce, expiresAt };
+    }
+
+    // Consumes the nonce whether or not the signature checks out
+    async function verifyChallenge(hash, nonce, signature) {
+        const challenge = await storage.takeChallenge(nonce);
+        if (!challenge || challenge.hash !== hash || Number(challenge.expires_at) < Date.now()) return false;
+
+        const identity = await storage.getIdentity(hash);
+        if (!identity || !identity.public_key) return false;
+        return verifySignature(identity.public_key, challengeMessage(hash, nonce), signature);
+    }
+
+    function sessionMac(hash, expiresAt) {
+        return crypto.createHmac('sha256', secret).update(`session:${hash}:${expiresAt}`).digest();
+    }
+
+    function createSession(hash) {
+        const expiresAt = Date.now() + sessionTtlMs;
+        const token = `${Buffer.from(hash, 'utf8').toString('base64url')}.${expiresAt}.${sessionMac(hash, expiresAt).toString('base64url')}`;
+        return { token, expiresAt };
+    }
+
+    function sessionHash(token) {
+        if (!token || !secret) return null;
+        const parts = token.split('.');
+        if (parts.length !== 3) return null;
+        const hash = Buffer.from(parts[0], 'base64url').toString('utf8');
+        const expiresAt = Number(parts[1]);
+        if (!hash || !Number.isInteger(expiresAt) || expiresAt < Date.now()) return null;
+        const mac = Buffer.from(parts[2], 'base64url');
+        const expected = sessionMac(hash, expiresAt);
+        if (mac.length !== expected.length || !crypto.timingSafeEqual(mac, expected)) return null;
+        return hash;
+    }
+
+    // Can the holder of `token` act on the mailbox addressed by this hash?
+    async function authorizeHash(hash, token) {
+        const identity = await storage.getIdentity(hash);
+        if (!isProtected(identity)) return true;
+        return sessionHash(token) === hash;
+    }
+
+    // Legacy peerId mailboxes are owned by whichever identity holds that peerId
+    async function authorizePeer(peerId, token) {
+        const identity = await storage.getIdentityByPeerId(peerId);
+        if (!isProtected(identity)) return true;
+        if (!identity) return false;
+        return sessionHash(token) === identity.username;
+    }
+
+    // Expired challenges; sessions simply stop verifying
+    function prune(now = Date.now()) {
+        return storage.deleteExpiredChallenges(now);
+    }
+
+    return {
+        strict,
+        init,
+        isProtected,
+        issueChallenge,
+        verifyChallenge,
+        createSession,
+        sessionHash,
+        authorizeHash,
+        authorizePeer,
+        prune
+    };
+}
+
+module.exports = { createMailboxAuth, isValidHash, parsePublicKey, verifySignature, challengeMessage, bearerToken };
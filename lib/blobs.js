@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+// =============================================
+// BLOB STORE — attachment bytes, by offset
+// =============================================
+// Attachment metadata (size, upload progress, expiry) always lives in the
+// relay database; a blob store only holds the bytes. Both drivers expose:
+//   init()                       prepare the backing store
+//   write(id, offset, buffer)    store one chunk at its byte offset
+//   read(id, start, end)         Readable over bytes start..end (inclusive)
+//   remove(id)                   drop all bytes of an attachment
+// Ids are generated by the relay (hex), so they are safe as file names.
+
+// Chunks as rows in attachment_chunks, next to everything else
+function createDatabaseBlobStore({ storage }) {
+    async function* chunksBetween(id, start, end) {
+        for (const chunk of await storage.listAttachmentChunks(id)) {
+            const chunkEnd = chunk.offset + chunk.size - 1;
+            if (chunkEnd < start || chunk.offset > end) continue;
+            const data = await storage.getAttachmentChunk(id, chunk.offset);
+            yield data.subarray(Math.max(start - chunk.offset, 0), Math.min(end - chunk.offset, chunk.size - 1) + 1);
+        }
+    }
+
+    return {
+        name: 'database',
+        init: async () => {},
+        write: (id, offset, buffer) => storage.saveAttachmentChunk(id, offset, buffer),
+        read: (id, start, end) => Readable.from(chunksBetween(id, start, end)),
+        // Chunk rows go with the attachment row (storage.deleteAttachment)
+        remove: async () => {}
+    };
+}
+
+// One file per attachment under BLOB_DIR. With several instances the
+// directory must be shared (or use the database driver).
+function createFilesystemBlobStore({ dir = process.env.BLOB_DIR || path.join(process.cwd(), 'blobs') } = {}) {
+    const fileOf = id => path.join(dir, id);
+
+    return {
+        name: 'filesystem',
+        init: async () => {
+            await fs.promises.mkdir(dir, { recursive: true });
+        },
+        write: async (id, offset, buffer) => {
+            const handle = await fs.promises.open(fileOf(id), offset === 0 ? 'w' : 'r+');
+            try {
+                await handle.write(buffer, 0, buffer.length, offset);
+            } finally {
+                await handle.close();
+            }
+        },
+        read: (id, start, end) => fs.createReadStream(fileOf(id), { start, end }),
+        remove: async (id) => {
+            try {
+                await fs.promises.unlink(fileOf(id));
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err;
+            }
+        }
+    };
+}
+
+// BLOB_STORE=database (default) | filesystem
+function createBlobStore(options = {}) {
+    const driver = (options.driver || process.env.BLOB_STORE || 'database').toLowerCase();
+
+    switch (driver) {
+        case 'database':
+        case 'db':
+            return createDatabaseBlobStore(options);
+        case 'filesystem':
+        case 'fs':
+            return createFilesystemBlobStore(options);
+        default:
+            throw new Error(`Unknown blob store: ${driver}`);
+    }
+}
+
+module.exports = { createBlobStore, createDatabaseBlobStore, createFilesystemBlobStore };
@@ -0,0 +1,133 @@
+const { EventEmitter } = require('events');
+const { Client, Pool } = require('pg');
+
+// =============================================
+// FAN-OUT BUS — transport between relay instances
+// =============================================
+// A bus is an EventEmitter with start() / publish(message) / close().
+// It emits 'message' for every published message (including our own —
+// the cluster layer filters by origin) and 'ready' whenever it has
+// (re)connected, so the cluster can resync presence.
+
+// NOTIFY payloads are capped at 8000 bytes by Postgres
+const MAX_NOTIFY_BYTES = 7900;
+
+// In-process stand-in: single-node mode, or several relays in one process
+function createMemoryBus() {
+    const bus = new EventEmitter();
+    bus.setMaxListeners(0);
+    bus.name = 'memory';
+    bus.start = async () => { bus.emit('ready'); };
+    bus.publish = async (message) => {
+        // Async like a real bus, so publishers never re-enter their own handlers
+        const copy = JSON.parse(JSON.stringify(message));
+        setImmediate(() => bus.emit('message', copy));
+        return true;
+    };
+    bus.close = async () => {};
+    return bus;
+}
+
+// LISTEN needs a session-level connection: point BUS_DATABASE_URL at a
+// direct (non-pgbouncer) endpoint when DATABASE_URL goes through a pooler.
+function createPostgresBus({
+    connectionString = process.env.BUS_DATABASE_URL || process.env.DATABASE_URL,
+    ssl = { rejectUnauthorized: false },
+    channel = process.env.BUS_CHANNEL || 'ghost_relay',
+    reconnectMs = 2000
+} = {}) {
+    if (!/^[a-z_][a-z0-9_]*$/.test(channel)) throw new Error(`Invalid bus channel: ${channel}`);
+
+    const bus = new EventEmitter();
+    const publisher = new Pool({ connectionString, ssl, max: 2 });
+    let listener = null;
+    let closed = false;
+    let reconnectTimer = null;
+
+    bus.name = 'postgresql';
+
+    function scheduleReconnect() {
+        if (closed || reconnectTimer) return;
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            connect().catch(err => {
+                console.error('❌ Bus reconnect failed:', err.message);
+                scheduleReconnect();
+            });
+        }, reconnectMs);
+    }
+
+    async function connect() {
+        const client = new Client({ connectionString, ssl });
+        client.on('notification', (msg) => {
+            if (msg.channel !== channel) return;
+            let message;
+            try {
+                message = JSON.parse(msg.payload);
+            } catch (err) {
+                return;
+            }
+            bus.emit('message', message);
+        });
+        client.on('error', (err) => {
+            console.error('Bus listener error:', err.message);
+            if (listener === client) listener = null;
+            client.end().catch(() => {});
+            scheduleReconnect();
+        });
+        client.on('end', () => {
+            if (listener === client) {
+                listener = null;
+                scheduleReconnect();
+            }
+        });
+
+        await client.connect();
+        await client.query(`LISTEN ${channel}`);
+        listener = client;
+        console.log(`✅ Bus listening on channel ${channel}`);
+        bus.emit('ready');
+    }
+
+    bus.start = connect;
+
+    bus.publish = async (message) => {
+        const payload = JSON.stringify(message);
+        if (Buffer.byteLength(payload) > MAX_NOTIFY_BYTES) {
+            console.warn(`Bus message '${message.type}' too large for NOTIFY (${Buffer.byteLength(payload)} bytes), dropped`);
+            return false;
+        }
+        await publisher.query('SELECT pg_notify($1, $2)', [channel, payload]);
+        return true;
+    };
+
+    bus.close = async () => {
+        closed = true;
+        clearTimeout(reconnectTimer);
+        const client = listener;
+        listener = null;
+        if (client) await client.end().catch(() => {});
+        await publisher.end();
+    };
+
+    return bus;
+}
+
+// BUS=postgres|memory. Defaults to Postgres when storage is Postgres,
+// since that is the only setup where more than one instance makes sense.
+function createBus(options = {}) {
+    const driver = (options.driver || process.env.BUS || (options.storage && options.storage.name === 'postgresql' ? 'postgres' : 'memory')).toLowerCase();
+
+    switch (driver) {
+        case 'postgres':
+        case 'postgresql':
+        case 'pg':
+            return createPostgresBus(options);
+        case 'memory':
+            return createMemoryBus();
+        default:
+            throw new Error(`Unknown bus driver: ${driver}`);
+    }
+}
+
+module.exports = { createBus, createMemoryBus, createPostgresBus, MAX_NOTIFY_BYTES };
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+
+// =============================================
+// CALLS — stateful signaling sessions for WebRTC
+// =============================================
+// A call has an id, the key (hash or peerId) that placed it, and a state per
+// participant:
+//   invited -> joined | rejected | busy | missed      joined -> left
+// The caller starts out joined. Any joined participant may invite more keys
+// (multi-party rooms, up to maxParticipants). The call ends once fewer than
+// two participants are joined or still ringing.
+//
+// Client -> relay (socket events, all with a callback):
+//   call-invite  { to: key | [keys], callId?, data? }   -> { callId, iceServers, participants }
+//   call-accept  { callId, data? }
+//   call-reject  { callId }
+//   call-hangup  { callId }
+//   call-signal  { callId, to, data }                   SDP / ICE between participants
+// Relay -> client:
+//   call-ring    { callId, from, participants, data, iceServers }   to every device of an invitee
+//   call-update  { callId, key, state, reason }                     a participant's state changed
+//   call-ended   { callId, reason }                                 to whoever was still in the call
+//   call-signal  { callId, from, data }
+//
+// Invitees that are busy, offline, or don't answer within ringTimeoutMs miss
+// the call: onMissed(key, notice) queues a notice into their mailbox. Hidden
+// invitees (presence visibility 'nobody') are never reported busy or offline:
+// they ring until answered or timed out, so a call can't probe them. The device
+// (socket) that placed or accepted a call holds it; index.js hangs up with
+// reason 'disconnected' when that socket goes away.
+//
+// State is in memory, on the instance that placed the call; index.js forwards
+// actions from sockets on other instances over the cluster bus.
+//
+//   ICE_SERVERS       JSON list of RTCIceServer objects handed to clients
+//   TURN_URLS         comma-separated turn: URLs using the TURN REST scheme,
+//   TURN_SECRET       with short-lived credentials signed by this shared secret
+//   TURN_TTL          credential lifetime in seconds (default 1 day)
+
+const ACTIVE = ['joined', 'invited'];
+
+function loadIceServers(value) {
+    if (!value) return [];
+    const servers = JSON.parse(value);
+    if (!Array.isArray(servers)) throw new Error('ICE_SERVERS must be a JSON array');
+    return servers;
+}
+
+// Static servers plus, when TURN_SECRET is set, per-user TURN credentials
+// ("<expiry>:<key>" signed with HMAC-SHA1, as coturn's use-auth-secret expects)
+function createIceConfig({
+    servers = loadIceServers(process.env.ICE_SERVERS),
+    turnUrls = (process.env.TURN_URLS || '').split(',').map(u => u.trim()).filter(Boolean),
+    turnSecret = process.env.TURN_SECRET,
+    turnTtl = Number(process.env.TURN_TTL) || 24 * 60 * 60
+} = {}) {
+    return function iceServersFor(key) {
+        if (!turnSecret || turnUrls.length === 0) return servers;
+        const username = `${Math.floor(Date.now() / 1000) + turnTtl}:${key}`;
+        const credential = crypto.createHmac('sha1', turnSecret).update(username).digest('base64');
+        return [...servers, { urls: turnUrls, username, credential }];
+    };
+}
+
+function createCalls({
+    emit,                          // (key, event, payload) to every device of key
+    isOnline,                      // key -> bool, on any instance
+    isBusyElsewhere = () => false, // key joined to a call placed on another instance
+    onBusyChange = () => {},       // (key, busy) so other instances can answer busy
+    onMissed = () => {},           // (key, { callId, from, at, participants })
+    iceServersFor = createIceConfig(),
+    ringTimeoutMs = Number(process.env.CALL_RING_TIMEOUT_MS) || 30 * 1000,
+    maxParticipants = Number(process.env.CALL_MAX_PARTICIPANTS) || 8
+} = {}) {
+    const calls = new Map();  // callId -> { id, from, createdAt, participants: Map(key -> { state, timer, invitedBy }) }
+
+    function participantList(call) {
+        return [...call.participants].map(([key, p]) => ({ key, state: p.state }));
+    }
+
+    function active(call) {
+        return [...call.participants].filter(([, p]) => ACTIVE.includes(p.state)).map(([key]) => key);
+    }
+
+    function isBusy(key) {
+        for (const call of calls.values()) {
+            const p = call.participants.get(key);
+            if (p && p.state === 'joined') return true;
+        }
+        return isBusyElsewhere(key);
+    }
+
+    // Tell everyone still in the call, and the subject's other devices unless
+    // it never got to ring (busy, offline)
+    function update(call, key, state, reason = null) {
+        const payload = { callId: call.id, key, state, reason };
+        const to = new Set(active(call));
+        if (state !== 'busy' && reason !== 'offline') to.add(key);
+        to.forEach(k => emit(k, 'call-update', payload));
+    }
+
+    function missed(call, key) {
+        onMissed(key, { callId: call.id, from: call.from, at: Date.now(), participants: [...call.participants.keys()] });
+    }
+
+    function setState(call, key, state, reason) {
+        const p = call.participants.get(key);
+        const wasJoined = p.state === 'joined';
+        clearTimeout(p.timer);
+        p.timer = null;
+        p.state = state;
+        if (wasJoined !== (state === 'joined')) onBusyChange(key, state === 'joined');
+        update(call, key, state, reason);
+    }
+
+    function end(call, reason) {
+        for (const key of active(call)) {
+            const p = call.participants.get(key);
+            clearTimeout(p.timer);
+            if (p.state === 'invited') missed(call, key);
+            if (p.state === 'joined') onBusyChange(key, false);
+            p.state = 'left';
+            emit(key, 'call-ended', { callId: call.id, reason });
+        }
+        calls.delete(call.id);
+        console.log(`Call ${call.id.substring(0, 8)}... ended (${reason})`);
+    }
+
+    function endIfDone(call, reason) {
+        if (calls.has(call.id) && active(call).length < 2) end(call, reason);
+    }
+
+    function ring(call, from, key, data, hidden) {
+        const concealed = hidden.includes(key);
+        if (!concealed && isBusy(key)) {
+            call.participants.set(key, { state: 'busy', timer: null });
+            missed(call, key);
+            update(call, key, 'busy');
+            return 'busy';
+        }
+        if (!concealed && !isOnline(key)) {
+            call.participants.set(key, { state: 'missed', timer: null });
+            missed(call, key);
+            update(call, key, 'missed', 'offline');
+            return 'offline';
+        }
+
+        const p = { state: 'invited', timer: null, invitedBy: from };
+        call.participants.set(key, p);
+        p.timer = setTimeout(() => {
+            if (!calls.has(call.id) || p.state !== 'invited') return;
+            missed(call, key);
+            setState(call, key, 'missed', 'timeout');
+            endIfDone(call, 'unanswered');
+        }, ringTimeoutMs);
+        if (p.timer.unref) p.timer.unref();
+
+        emit(key, 'call-ring', { callId: call.id, from, participants: participantList(call), data, iceServers: iceServersFor(key) });
+        update(call, key, 'invited');
+        return 'ringing';
+    }
+
+    // New call, or more participants for a call the inviter (key) is in;
+    // hidden: invitees whose presence must not show through the result
+    function invite({ callId, key: from, to, data, hidden = [] }) {
+        const keys = [...new Set((Array.isArray(to) ? to : [to]).filter(k => typeof k === 'string' && k && k !== from))];
+        if (keys.length === 0) return { error: "Missing invitees" };
+
+        let call = callId ? calls.get(callId) : null;
+        if (callId && !call) return { error: "Unknown call" };
+        if (call) {
+            const self = call.participants.get(from);
+            if (!self || self.state !== 'joined') return { error: "Not in this call" };
+        } else if (isBusy(from)) {
+            return { error: "Already in a call" };
+        }
+
+        const fresh = call ? keys.filter(k => !ACTIVE.includes((call.participants.get(k) || {}).state)) : keys;
+        if ((call ? active(call).length : 1) + fresh.length > maxParticipants) {
+            return { error: `Calls are limited to ${maxParticipants} participants` };
+        }
+        if (!call) {
+            call = { id: crypto.randomBytes(16).toString('hex'), from, createdAt: Date.now(), participants: new Map() };
+            call.participants.set(from, { state: 'joined', timer: null });
+            calls.set(call.id, call);
+            onBusyChange(from, true);
+        }
+
+        const invited = fresh.map(key => ({ key, status: ring(call, from, key, data, hidden) }));
+        const result = { callId: call.id, iceServers: iceServersFor(from), invited, participants: participantList(call) };
+        console.log(`Call ${call.id.substring(0, 8)}... ${from.substring(0, 10)} invited ${fresh.length}`);
+        endIfDone(call, 'unanswered');
+        return result;
+    }
+
+    function accept({ callId, key, data }) {
+        const call = calls.get(callId);
+        const p = call && call.participants.get(key);
+        if (!p || p.state !== 'invited') return { error: "No pending invite for this call" };
+        if (isBusy(key)) return { error: "Already in a call" };
+        setState(call, key, 'joined');
+        // The answer (SDP) goes back to whoever sent the invite (offer)
+        if (data !== undefined && call.participants.has(p.invitedBy)) emit(p.invitedBy, 'call-signal', { callId, from: key, data });
+        return { success: true, participants: participantList(call) };
+    }
+
+    function reject({ callId, key }) {
+        const call = calls.get(callId);
+        const p = call && call.participants.get(key);
+        if (!p || p.state !== 'invited') return { error: "No pending invite for this call" };
+        setState(call, key, 'rejected', 'declined');
+        endIfDone(call, 'declined');
+        return { success: true };
+    }
+
+    // A hangup from a ringing invitee counts as a reject
+    function hangup({ callId, key, reason = 'hangup' }) {
+        const call = calls.get(callId);
+        const p = call && call.participants.get(key);
+        if (!p || !ACTIVE.includes(p.state)) return { error: "Not in this call" };
+        if (p.state === 'invited') return reject({ callId, key });
+        setState(call, key, 'left', reason);
+        endIfDone(call, reason);
+        return { success: true };
+    }
+
+    function signal({ callId, key: from, to, data }) {
+        const call = calls.get(callId);
+        const sender = call && call.participants.get(from);
+        const target = call && call.participants.get(to);
+        if (!sender || !ACTIVE.includes(sender.state)) return { error: "Not in this call" };
+        if (!target || !ACTIVE.includes(target.state)) return { error: "Target is not in this call" };
+        emit(to, 'call-signal', { callId, from, data });
+        return { success: true };
+    }
+
+    function stop() {
+        for (const call of [...calls.values()]) end(call, 'shutdown');
+    }
+
+    return {
+        invite,
+        accept,
+        reject,
+        hangup,
+        signal,
+        stop,
+        has: callId => calls.has(callId),
+        size: () => calls.size,
+        maxParticipants,
+        iceServersFor
+    };
+}
+
+module.exports = { createCalls, createIceConfig };
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// =============================================
+// CLUSTER — presence sharing and event routing across instances
+// =============================================
+// Sits on top of a bus (lib/bus.js). Every instance:
+//   - announces when a peerId/hash gains its first or loses its last local socket
+//   - answers 'hello' with a full presence sync, so newcomers catch up
+//   - sends heartbeats; instances silent for 3 intervals are forgotten
+// Any other message type (deliver, signal, typing ...) from another instance
+// is re-emitted as an event of that type for the relay to handle locally.
+// Changes to remote presence are emitted as 'presence-change' { kind, key }.
+//
+// A bus passed in with ownsBus false is shared with other relays in the
+// process: its owner starts and closes it, the cluster only subscribes.
+//
+// Socket.IO's HTTP long-polling needs sticky sessions when running more than
+// one instance behind a load balancer (e.g. Heroku session affinity).
+
+// Keeps presence-sync chunks under the NOTIFY payload limit
+const SYNC_CHUNK_BYTES = 6000;
+
+function createCluster({ bus, ownsBus = true, localKeys, instanceId = crypto.randomUUID(), heartbeatMs = 15000 }) {
+    const cluster = new EventEmitter();
+    const instances = new Map();  // instanceId -> { lastHeard, keys: Set("kind:key") }
+    let heartbeatTimer = null;
+
+    function changed(tags) {
+        for (const tag of tags) {
+            const split = tag.indexOf(':');
+            cluster.emit('presence-change', { kind: tag.slice(0, split), key: tag.slice(split + 1) });
+        }
+    }
+
+    function forget(id) {
+        const entry = instances.get(id);
+        instances.delete(id);
+        if (entry) changed(entry.keys);
+    }
+
+    function instance(id) {
+        let entry = instances.get(id);
+        if (!entry) instances.set(id, entry = { lastHeard: 0, keys: new Set() });
+        entry.lastHeard = Date.now();
+        return entry;
+    }
+
+    function publish(type, payload = {}) {
+        return bus.publish({ ...payload, type, origin: instanceId }).catch(err => {
+            console.error(`Bus publish error (${type}):`, err.message);
+            return false;
+        });
+    }
+
+    // Full local presence, split into chunks that fit a NOTIFY payload
+    function sync() {
+        let chunk = [];
+        let bytes = 0;
+        let first = true;
+        const flush = () => {
+            publish('presence-sync', { keys: chunk, reset: first });
+            first = false;
+            chunk = [];
+            bytes = 0;
+        };
+        for (const [kind, key] of localKeys()) {
+            chunk.push([kind, key]);
+            bytes += key.length + kind.length + 8;
+            if (bytes >= SYNC_CHUNK_BYTES) flush();
+        }
+        if (chunk.length > 0 || first) flush();
+    }
+
+    function onMessage(message) {
+        if (!message || message.origin === instanceId) return;
+        const origin = message.origin;
+
+        switch (message.type) {
+            case 'hello':
+                instance(origin);
+                sync();
+                break;
+            case 'heartbeat':
+                instance(origin);
+                break;
+            case 'bye':
+                forget(origin);
+                break;
+            case 'presence': {
+                const entry = instance(origin);
+                const tag = `${message.kind}:${message.key}`;
+                if (message.online) entry.keys.add(tag);
+                else entry.keys.delete(tag);
+                changed([tag]);
+                break;
+            }
+            case 'presence-sync': {
+                const entry = instance(origin);
+                const before = new Set(entry.keys);
+                if (message.reset) entry.keys.clear();
+                const tags = (message.keys || []).map(([kind, key]) => `${kind}:${key}`);
+                tags.forEach(tag => entry.keys.add(tag));
+                changed(tags.filter(tag => !before.has(tag)));
+                break;
+            }
+            default:
+                instance(origin);
+                cluster.emit(message.type, message);
+        }
+    }
+
+    function evictSilent() {
+        const cutoff = Date.now() - heartbeatMs * 3;
+        instances.forEach((entry, id) => {
+            if (entry.lastHeard < cutoff) {
+                console.warn(`Cluster instance ${id.substring(0, 8)} went silent, dropping its presence`);
+                forget(id);
+            }
+        });
+    }
+
+    function onReady() {
+        publish('hello');
+    }
+
+    cluster.instanceId = instanceId;
+
+    cluster.start = async () => {
+        bus.on('message', onMessage);
+        bus.on('ready', onReady);
+        if (ownsBus) await bus.start();
+        else onReady();
+        heartbeatTimer = setInterval(() => {
+            publish('heartbeat');
+            evictSilent();
+        }, heartbeatMs);
+        if (heartbeatTimer.unref) heartbeatTimer.unref();
+    };
+
+    cluster.stop = async () => {
+        clearInterval(heartbeatTimer);
+        await publish('bye');
+        bus.off('message', onMessage);
+        bus.off('ready', onReady);
+        if (ownsBus) await bus.close();
+    };
+
+    cluster.publish = publish;
+
+    // kind: 'peer' | 'hash'
+    cluster.announce = (kind, key, online) => publish('presence', { kind, key, online });
+
+    // Is this key connected to another instance? kind null matches either
+    cluster.isOnlineElsewhere = (kind, key) => {
+        for (const entry of instances.values()) {
+            if (kind ? entry.keys.has(`${kind}:${key}`)
+                : entry.keys.has(`peer:${key}`) || entry.keys.has(`hash:${key}`)) return true;
+        }
+        return false;
+    };
+
+    cluster.instanceCount = () => instances.size;
+
+    return cluster;
+}
+
+module.exports = { createCluster };
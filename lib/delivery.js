@@ -0,0 +1,89 @@
+// =============================================
+// DELIVERY TRACKER — redelivery with backoff for unacked pushes
+// =============================================
+// Every live 'relay-message' push is tracked per socket until the client
+// acks it (or the message is deleted). Unacked pushes are retried with
+// exponential backoff: baseDelayMs, 2x, 4x ... capped at maxDelayMs, giving
+// up after maxAttempts. The message itself stays queued either way, so a
+// later join or inbox fetch still picks it up.
+//
+// redeliver(socketId, id, attempt) should re-emit and resolve true, or
+// resolve false when there is nothing left to retry (socket gone, message
+// already removed).
+
+function createDeliveryTracker({
+    redeliver,
+    baseDelayMs = Number(process.env.REDELIVERY_BASE_MS) || 5000,
+    maxDelayMs = 5 * 60 * 1000,
+    maxAttempts = Number(process.env.REDELIVERY_MAX_ATTEMPTS) || 6
+} = {}) {
+    const pending = new Map();  // socketId -> Map(messageId -> { attempts, timer })
+
+    function forget(socketId, id) {
+        const bySocket = pending.get(socketId);
+        if (!bySocket) return false;
+        const entry = bySocket.get(id);
+        if (!entry) return false;
+        clearTimeout(entry.timer);
+        bySocket.delete(id);
+        if (bySocket.size === 0) pending.delete(socketId);
+        return true;
+    }
+
+    function schedule(socketId, id, entry) {
+        const delay = Math.min(baseDelayMs * 2 ** entry.attempts, maxDelayMs);
+        entry.timer = setTimeout(async () => {
+            entry.attempts++;
+            let again = false;
+            try {
+                again = await redeliver(socketId, id, entry.attempts);
+            } catch (err) {
+                console.error("Redelivery error:", err.message);
+            }
+            const bySocket = pending.get(socketId);
+            if (!bySocket || bySocket.get(id) !== entry) return;  // acked meanwhile
+            if (again && entry.attempts < maxAttempts) schedule(socketId, id, entry);
+            else forget(socketId, id);
+        }, delay);
+        if (entry.timer.unref) entry.timer.unref();
+    }
+
+    function track(socketId, id) {
+        let bySocket = pending.get(socketId);
+        if (!bySocket) pending.set(socketId, bySocket = new Map());
+        if (bySocket.has(id)) return;
+        const entry = { attempts: 0, timer: null };
+        bySocket.set(id, entry);
+        schedule(socketId, id, entry);
+    }
+
+    // Message removed (acked, deleted or expired): stop retrying everywhere
+    function forgetMessage(id) {
+        for (const socketId of [...pending.keys()]) forget(socketId, id);
+    }
+
+    function dropSocket(socketId) {
+        const bySocket = pending.get(socketId);
+        if (!bySocket) return;
+        bySocket.forEach(entry => clearTimeout(entry.timer));
+        pending.delete(socketId);
+    }
+
+    // Shutdown: stop all retries; returns how many pushes were still unacked
+    function clear() {
+        const n = size();
+        pending.forEach(bySocket => bySocket.forEach(entry => clearTimeout(entry.timer)));
+        pending.clear();
+        return n;
+    }
+
+    function size() {
+        let n = 0;
+        pending.forEach(bySocket => { n += bySocket.size; });
+        return n;
+    }
+
+    return { track, forget, forgetMessage, dropSocket, clear, size };
+}
+
+module.exports = { createDeliveryTracker };
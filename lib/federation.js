@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const express = require('express');
+const { parsePublicKey, verifySignature } = require('./auth');
+
+// =============================================
+// FEDERATION — relay-to-relay forwarding
+// =============================================
+// Addresses may carry a relay domain: "<hash>@relay.example". Mail for an
+// allowlisted remote relay is put in federation_outbox and POSTed to its
+// /federation/inbox; failures are retried with backoff until the message
+// expires. Directory lookups for remote addresses go to the owning relay.
+//
+// Every server-to-server request is signed with this relay's Ed25519 key:
+//   X-Relay-Origin       our domain
+//   X-Relay-Timestamp    ms since epoch (must be within 5 minutes)
+//   X-Relay-Signature    base64 signature over
+//       "<METHOD>\n<path>\n<origin>\n<destination>\n<timestamp>\n<sha256 hex of body>"
+// Peers publish their public key at GET /federation/identity; a key can also
+// be pinned in the allowlist, in which case it is never fetched.
+//
+//   RELAY_DOMAIN            our domain as peers address us (default localhost:<listening port>)
+//   FEDERATION_PRIVATE_KEY  Ed25519 private key (PEM); generated per boot if unset
+//   FEDERATION_PEERS        "relay.example,other.example=<publicKey>" (or a Map); empty disables
+//   FEDERATION_INSECURE     'true' talks plain http to peers (local testing)
+//
+// With several instances each one drains the shared outbox; a message may then
+// be sent twice, which the receiving relay ignores (message ids are unique).
+
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const KEY_CACHE_MS = 60 * 60 * 1000;
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function signingString({ method, path, origin, destination, timestamp, body }) {
+    return Buffer.from([method.toUpperCase(), path, origin, destination, timestamp, sha256(body || '')].join('\n'), 'utf8');
+}
+
+function parsePeers(value) {
+    const peers = new Map();  // domain -> pinned public key or null
+    for (const entry of (value || '').split(',').map(e => e.trim()).filter(Boolean)) {
+        const split = entry.indexOf('=');
+        if (split === -1) peers.set(entry.toLowerCase(), null);
+        else peers.set(entry.slice(0, split).trim().toLowerCase(), entry.slice(split + 1).trim());
+    }
+    return peers;
+}
+
+function loadPrivateKey(pem) {
+    if (pem) return crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+    console.warn('⚠️ FEDERATION_PRIVATE_KEY not set: using a throwaway server key, peers that pinned the old one will reject us');
+    return crypto.generateKeyPairSync('ed25519').privateKey;
+}
+
+function createFederation({
+    storage,
+    domain = process.env.RELAY_DOMAIN || null,
+    privateKey = process.env.FEDERATION_PRIVATE_KEY,
+    peers = parsePeers(process.env.FEDERATION_PEERS),
+    insecure = process.env.FEDERATION_INSECURE === 'true',
+    retryMs = Number(process.env.FEDERATION_RETRY_MS) || 30 * 1000,
+    maxBackoffMs = 60 * 60 * 1000,
+    timeoutMs = 10 * 1000,
+    onInbound,       // async (message) => { status, body }
+    onDirectory      // async (hash) => { found, peerId, displayName }
+}) {
+    domain = domain ? domain.toLowerCase() : null;
+    if (!(peers instanceof Map)) peers = parsePeers(peers);
+    const enabled = peers.size > 0;
+    // No peers, no server-to-server requests: nothing to sign or publish
+    const signingKey = enabled ? loadPrivateKey(privateKey) : null;
+    const publicKey = signingKey ? crypto.createPublicKey(signingKey).export({ type: 'spki', format: 'der' }).toString('base64') : null;
+    const keyCache = new Map();  // domain -> { key, fetchedAt }
+    let timer = null;
+
+    function baseUrl(peer) {
+        return `${insecure ? 'http' : 'https'}://${peer}`;
+    }
+
+    // "<hash>@<domain>" -> { hash, domain }; a bare hash or our own domain is local (domain null)
+    function parseAddress(address) {
+        const at = typeof address === 'string' ? address.lastIndexOf('@') : -1;
+        if (at === -1) return { hash: address, domain: null };
+        const peer = address.slice(at + 1).toLowerCase();
+        return { hash: address.slice(0, at), domain: peer === domain ? null : peer };
+    }
+
+    function isAllowed(peer) {
+        return peers.has(peer);
+    }
+
+    async function peerKey(peer) {
+        const pinned = peers.get(peer);
+        if (pinned) return pinned;
+        const cached = keyCache.get(peer);
+        if (cached && Date.now() - cached.fetchedAt < KEY_CACHE_MS) return cached.key;
+
+        const res = await fetch(`${baseUrl(peer)}/federation/identity`, { signal: AbortSignal.timeout(timeoutMs) });
+        if (!res.ok) throw new Error(`identity lookup failed: HTTP ${res.status}`);
+        const identity = await res.json();
+        if (String(identity.domain).toLowerCase() !== peer || !parsePublicKey(identity.publicKey)) {
+            throw new Error('identity lookup returned a mismatched or invalid key');
+        }
+        keyCache.set(peer, { key: identity.publicKey, fetchedAt: Date.now() });
+        return identity.publicKey;
+    }
+
+    async function request(peer, method, path, payload) {
+        const body = payload === undefined ? '' : JSON.stringify(payload);
+        const timestamp = String(Date.now());
+        const signature = crypto.sign(null, signingString({ method, path, origin: domain, destination: peer, timestamp, body }), signingKey);
+        const res = await fetch(`${baseUrl(peer)}${path}`, {
+            method,
+            headers: {
+                ...(body ? { 'Content-Type': 'application/json' } : {}),
+                'X-Relay-Origin': domain,
+                'X-Relay-Timestamp': timestamp,
+                'X-Relay-Signature': signature.toString('base64')
+            },
+            body: body || undefined,
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+        let json = null;
+        try {
+            json = await res.json();
+        } catch (err) {
+            // non-JSON error page
+        }
+        return { status: res.status, body: json };
+    }
+
+    // One delivery attempt of an outbox row. Throws on anything worth retrying.
+    async function attempt(row) {
+        const { status, body } = await request(row.domain, 'POST', '/federation/inbox', JSON.parse(row.payload));
+        // 409: an earlier attempt already landed and only its answer got lost
+        if ((status >= 200 && status < 300) || status === 409) return true;
+        if (status === 507 || status === 429 || status >= 500) throw new Error(`HTTP ${status}${body && body.error ? ': ' + body.error : ''}`);
+        console.warn(`Federation to ${row.domain} rejected ${row.message_id.substring(0, 8)}... (HTTP ${status}), dropping`);
+        return false;
+    }
+
+    // 'delivered' | 'rejected' (dropped) | 'queued' (retry later)
+    async function settle(row, attempts) {
+        try {
+            const accepted = await attempt(row);
+            await storage.deleteFederation(row.message_id, row.domain);
+            return accepted ? 'delivered' : 'rejected';
+        } catch (err) {
+            const delay = Math.min(retryMs * 2 ** (attempts - 1), maxBackoffMs);
+            await storage.rescheduleFederation(row.message_id, row.domain, attempts, Date.now() + delay, err.message);
+            console.warn(`Federation to ${row.domain} failed (attempt ${attempts}): ${err.message}`);
+            return 'queued';
+        }
+    }
+
+    // Queue for a remote relay and try once right away; returns the outcome of that try
+    async function forward({ id, hash, domain: peer, data, ttl, expiresAt }) {
+        const timestamp = Date.now();
+        const row = {
+            message_id: id,
+            domain: peer,
+            payload: JSON.stringify({ id, toHash: hash, data, ttl })
+        };
+        const queued = await storage.enqueueFederation({
+            messageId: id, domain: peer, payload: row.payload, expiresAt, timestamp
+        });
+        if (!queued) return 'queued';
+        return settle(row, 1);
+    }
+
+    async function drainOutbox() {
+        const due = await storage.listDueFederation(Date.now(), 50);
+        for (const row of due) {
+            const left = Math.ceil((Number(row.expires_at) - Date.now()) / 1000);
+            if (left <= 0) continue;
+            // Forward only what's left of the sender's ttl
+            const payload = JSON.parse(row.payload);
+            row.payload = JSON.stringify({ ...payload, ttl: Math.min(payload.ttl || left, left) });
+            await settle(row, Number(row.attempts) + 1);
+        }
+        return due.length;
+    }
+
+    async function resolve(hash, peer) {
+        const { status, body } = await request(peer, 'GET', `/federation/directory/${encodeURIComponent(hash)}`);
+        if (status !== 200 || !body) throw new Error(`HTTP ${status}`);
+        return { found: !!body.found, peerId: body.peerId || null, displayName: body.displayName || null };
+    }
+
+    // ---------- Inbound (server-to-server) ----------
+
+    const router = express.Router();
+
+    router.get('/identity', (req, res) => {
+        res.json({ domain, publicKey, federation: enabled });
+    });
+
+    // Signature check for everything below; needs the raw body (see index.js)
+    router.use(async (req, res, next) => {
+        const origin = String(req.get('x-relay-origin') || '').toLowerCase();
+        const timestamp = req.get('x-relay-timestamp') || '';
+        const signature = req.get('x-relay-signature') || '';
+        if (!enabled || !isAllowed(origin)) return res.status(403).json({ error: "Relay not allowed" });
+        if (Math.abs(Date.now() - Number(timestamp)) > CLOCK_SKEW_MS) return res.status(401).json({ error: "Stale or missing timestamp" });
+
+        try {
+            const message = signingString({
+                method: req.method, path: req.originalUrl, origin, destination: domain, timestamp,
+                body: req.rawBody ? req.rawBody.toString('utf8') : ''
+            });
+            let valid = verifySignature(await peerKey(origin), message, signature);
+            const cached = keyCache.get(origin);
+            if (!valid && !peers.get(origin) && cached && Date.now() - cached.fetchedAt > 60 * 1000) {
+                // The peer may have rotated its key since we cached it (checked at most once a minute)
+                keyCache.delete(origin);
+                valid = verifySignature(await peerKey(origin), message, signature);
+            }
+            if (!valid) {
+                console.warn(`Rejected federation request from ${origin}: bad signature`);
+                return res.status(401).json({ error: "Invalid relay signature" });
+            }
+            req.relayOrigin = origin;
+            next();
+        } catch (err) {
+            console.error(`Federation key lookup for ${origin} failed:`, err.message);
+            res.status(502).json({ error: "Could not verify relay identity" });
+        }
+    });
+
+    router.post('/inbox', async (req, res) => {
+        const { id, toHash, data, ttl } = req.body || {};
+        if (!id || !toHash || !data) return res.status(400).json({ error: "Missing id, toHash or data" });
+        if (typeof data !== 'string') return res.status(400).json({ error: "data must be a string" });
+        if (ttl !== undefined && !(Number.isFinite(ttl) && ttl > 0)) return res.status(400).json({ error: "ttl must be a positive number of seconds" });
+        try {
+            const { status, body } = await onInbound({ id, toHash, data, ttl, origin: req.relayOrigin });
+            res.status(status).json(body);
+        } catch (err) {
+            console.error("Federation Inbox Error:", err.message);
+            res.status(500).json({ error: "Storage failed" });
+        }
+    });
+
+    router.get('/directory/:hash', async (req, res) => {
+        try {
+            res.json(await onDirectory(req.params.hash));
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    return {
+        enabled,
+        get domain() {
+            return domain;
+        },
+        publicKey,
+        router,
+        parseAddress,
+        isAllowed,
+        forward,
+        resolve,
+        drainOutbox,
+        // port: where the relay listens, for the default domain
+        start(port) {
+            if (!domain) domain = `localhost:${port}`;
+            if (!enabled) return;
+            timer = setInterval(() => {
+                drainOutbox().catch(err => console.error("Federation outbox error:", err.message));
+            }, retryMs);
+            if (timer.unref) timer.unref();
+            console.log(`🌐 Federation enabled as ${domain} (${peers.size} peer${peers.size === 1 ? '' : 's'})`);
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+module.exports = { createFederation };
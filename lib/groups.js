@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const express = require('express');
+const { bearerToken } = require('./auth');
+
+// =============================================
+// GROUP MAILBOXES — membership management
+// =============================================
+// A group is an opaque id plus a list of member mailbox hashes. Callers
+// identify themselves with a mailbox session (POST /auth/verify), so only
+// mailboxes with a registered key can create or manage groups:
+//   - any member may read the member list, and leave
+//   - admins add and remove members, and delete the group
+// Sending to a group (POST /send with toGroup) lives next to /send itself.
+// Membership changes are pushed to connected members as 'group-update'.
+
+function createGroupRouter({ storage, mailboxAuth, notify, maxMembers = Number(process.env.GROUP_MAX_MEMBERS) || 256 }) {
+    const router = express.Router();
+
+    // Member hashes from a request body: non-empty strings, de-duplicated
+    function memberList(value) {
+        if (!Array.isArray(value)) return null;
+        const hashes = value.filter(h => typeof h === 'string' && h.length > 0);
+        if (hashes.length !== value.length) return null;
+        return [...new Set(hashes)];
+    }
+
+    function describe(members) {
+        return members.map(m => ({ hash: m.member_hash, role: m.role, addedAt: Number(m.added_at) }));
+    }
+
+    // Resolves the caller's mailbox and their membership; responds and returns null when not allowed
+    async function loadMembership(req, res, { adminOnly = false } = {}) {
+        const caller = mailboxAuth.sessionHash(bearerToken(req));
+        if (!caller) {
+            res.status(401).json({ error: "Mailbox authentication required" });
+            return null;
+        }
+        const members = await storage.listGroupMembers(req.params.groupId);
+        const self = members.find(m => m.member_hash === caller);
+        if (!self) {
+            res.status(403).json({ error: "Not a member of this group" });
+            return null;
+        }
+        if (adminOnly && self.role !== 'admin') {
+            res.status(403).json({ error: "Group admin required" });
+            return null;
+        }
+        return { caller, members };
+    }
+
+    // Create a group: the caller becomes its first admin
+    router.post('/', async (req, res) => {
+        const caller = mailboxAuth.sessionHash(bearerToken(req));
+        if (!caller) return res.status(401).json({ error: "Mailbox authentication required" });
+
+        const members = memberList(req.body.members || []);
+        const admins = memberList(req.body.admins || []);
+        if (!members || !admins) return res.status(400).json({ error: "members and admins must be arrays of mailbox hashes" });
+
+        const all = [...new Set([caller, ...admins, ...members])];
+        if (all.length > maxMembers) return res.status(400).json({ error: `Group limit is ${maxMembers} members` });
+
+        const groupId = crypto.randomBytes(16).toString('hex');
+        const timestamp = Date.now();
+        try {
+            await storage.createGroup({ id: groupId, createdBy: caller, timestamp });
+            await storage.addGroupMembers(groupId, all.map(hash => ({
+                hash, role: hash === caller || admins.includes(hash) ? 'admin' : 'member'
+            })), timestamp);
+
+            const current = await storage.listGroupMembers(groupId);
+            notify(all, { groupId, action: 'created', members: all, by: caller });
+            console.log(`Group ${groupId.substring(0, 8)}... created by ${caller.substring(0, 10)}... (${all.length} members)`);
+            res.json({ success: true, groupId, members: describe(current) });
+        } catch (err) {
+            console.error("Group Create Error:", err.message);
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    router.get('/:groupId', async (req, res) => {
+        try {
+            const membership = await loadMembership(req, res);
+            if (!membership) return;
+            const group = await storage.getGroup(req.params.groupId);
+            res.json({
+                groupId: req.params.groupId,
+                createdAt: group ? Number(group.created_at) : null,
+                members: describe(membership.members)
+            });
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Add members (or change their role): { members: [hash...], role: 'member' | 'admin' }
+    router.post('/:groupId/members', async (req, res) => {
+        const hashes = memberList(req.body.members);
+        const role = req.body.role || 'member';
+        if (!hashes || hashes.length === 0) return res.status(400).json({ error: "Missing members" });
+        if (role !== 'member' && role !== 'admin') return res.status(400).json({ error: "role must be 'member' or 'admin'" });
+
+        try {
+            const membership = await loadMembership(req, res, { adminOnly: true });
+            if (!membership) return;
+            const { caller, members } = membership;
+
+            const existing = new Set(members.map(m => m.member_hash));
+            const total = new Set([...existing, ...hashes]).size;
+            if (total > maxMembers) return res.status(400).json({ error: `Group limit is ${maxMembers} members` });
+
+            await storage.addGroupMembers(req.params.groupId, hashes.map(hash => ({ hash, role })), Date.now());
+            const current = await storage.listGroupMembers(req.params.groupId);
+            notify(current.map(m => m.member_hash), { groupId: req.params.groupId, action: 'member-added', members: hashes, role, by: caller });
+            res.json({ success: true, members: describe(current) });
+        } catch (err) {
+            console.error("Group Member Add Error:", err.message);
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // Remove a member: admins may remove anyone, members only themselves
+    router.delete('/:groupId/members/:hash', async (req, res) => {
+        const { groupId, hash } = req.params;
+        try {
+            const membership = await loadMembership(req, res);
+            if (!membership) return;
+            const { caller, members } = membership;
+
+            const isAdmin = members.some(m => m.member_hash === caller && m.role === 'admin');
+            if (hash !== caller && !isAdmin) return res.status(403).json({ error: "Group admin required" });
+
+            const target = members.find(m => m.member_hash === hash);
+            if (!target) return res.json({ success: true, removed: 0 });
+            if (target.role === 'admin' && members.filter(m => m.role === 'admin').length === 1 && members.length > 1) {
+                return res.status(409).json({ error: "Group needs at least one admin; promote another member first" });
+            }
+
+            const removed = await storage.removeGroupMember(groupId, hash);
+            if (members.length === 1) await storage.deleteGroup(groupId);
+            notify(members.map(m => m.member_hash), { groupId, action: 'member-removed', members: [hash], by: caller });
+            res.json({ success: true, removed });
+        } catch (err) {
+            console.error("Group Member Remove Error:", err.message);
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    router.delete('/:groupId', async (req, res) => {
+        try {
+            const membership = await loadMembership(req, res, { adminOnly: true });
+            if (!membership) return;
+            await storage.deleteGroup(req.params.groupId);
+            notify(membership.members.map(m => m.member_hash), { groupId: req.params.groupId, action: 'deleted', by: membership.caller });
+            console.log(`Group ${req.params.groupId.substring(0, 8)}... deleted`);
+            res.json({ success: true });
+        } catch (err) {
+            console.error("Group Delete Error:", err.message);
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createGroupRouter };
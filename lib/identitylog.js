@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+// =============================================
+// IDENTITY LOG — hash-chained PeerId / key history
+// =============================================
+// Every change to an identity's peerId or publicKey appends one entry to
+// peerid_history. Entries are chained per identity:
+//
+//   hash = sha256hex(JSON.stringify([seq, username, oldPeerId, newPeerId,
+//                                    publicKey, source, timestamp, prevHash]))
+//
+// where seq starts at 1 and prevHash is the previous entry's hash (null for
+// the first). Clients fetch GET /identity/:username/history, recompute the
+// chain, and warn the user when a contact's key or peerId changed since they
+// last saw it — or when the chain they cached is no longer a prefix.
+//
+// A rotation on an identity with a registered key must be signed by that key:
+// either a mailbox session, or `signature` over rotationMessage() below.
+// The first key on an identity that already exists is signed the same way by
+// its current peerId instead (`peerSignature`, see lib/peerid.js), or follows
+// an admin KEY_RESET. Whenever a change leaves an identity with both a key and
+// a peerId, that peerId signs rotationMessage() too, and no two identities
+// hold the same peerId.
+
+function entryHash({ seq, username, oldPeerId, newPeerId, publicKey, source, timestamp, prevHash }) {
+    const canonical = JSON.stringify([
+        Number(seq), username, oldPeerId || null, newPeerId || null,
+        publicKey || null, source, Number(timestamp), prevHash || null
+    ]);
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+// Storage row -> public entry
+function toEntry(row) {
+    return {
+        seq: Number(row.seq),
+        username: row.username_hash,
+        oldPeerId: row.old_peer_id,
+        newPeerId: row.new_peer_id,
+        publicKey: row.public_key,
+        source: row.source,
+        timestamp: Number(row.timestamp),
+        prevHash: row.prev_hash,
+        hash: row.entry_hash
+    };
+}
+
+// True when every entry links to the one before it and hashes to its own hash
+function verifyChain(entries) {
+    let prevHash = null;
+    return entries.every((entry, i) => {
+        const ok = entry.seq === i + 1 && (entry.prevHash || null) === prevHash && entryHash(entry) === entry.hash;
+        prevHash = entry.hash;
+        return ok;
+    });
+}
+
+// What the old key signs to authorize moving to (peerId, publicKey); binding
+// the current head hash makes a signature single-use
+function rotationMessage(username, peerId, publicKey, headHash) {
+    return Buffer.from(`ghost-relay:rotate:${username}:${peerId || ''}:${publicKey || ''}:${headHash || ''}`, 'utf8');
+}
+
+// What the registered key signs to replace the record (blob and displayName)
+// at baseVersion; the version moves on with every change, so it's single-use too
+function backupMessage(username, baseVersion, blob, displayName) {
+    const digest = crypto.createHash('sha256').update(blob, 'utf8').digest('hex');
+    return Buffer.from(`ghost-relay:backup:${username}:${baseVersion}:${digest}:${displayName || ''}`, 'utf8');
+}
+
+function createIdentityLog({ storage }) {
+    async function head(username) {
+        return storage.getPeerIdHistoryHead(username);
+    }
+
+    // Concurrent appends race on (username, seq); the loser re-reads the head and retries
+    async function append({ username, displayName = null, oldPeerId = null, newPeerId = null, publicKey = null, source }) {
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const last = await head(username);
+            const entry = {
+                seq: last ? Number(last.seq) + 1 : 1,
+                username, oldPeerId, newPeerId, publicKey, source,
+                timestamp: Date.now(),
+                prevHash: last ? last.entry_hash : null
+            };
+            entry.hash = entryHash(entry);
+            const inserted = await storage.addPeerIdHistory({
+                usernameHash: username, displayName, oldPeerId, newPeerId, publicKey, source,
+                timestamp: entry.timestamp, seq: entry.seq, prevHash: entry.prevHash, entryHash: entry.hash
+            });
+            if (inserted) return entry;
+        }
+        throw new Error(`Identity log append conflict for ${username.substring(0, 10)}`);
+    }
+
+    async function history(username) {
+        const rows = await storage.listIdentityHistory(username);
+        return rows.map(toEntry);
+    }
+
+    return { head, append, history };
+}
+
+module.exports = { createIdentityLog, entryHash, verifyChain, rotationMessage, backupMessage };
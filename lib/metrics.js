@@ -0,0 +1,208 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const client = require('prom-client');
+
+// =============================================
+// METRICS — Prometheus instrumentation for GET /metrics
+// =============================================
+// Each relay gets its own registry. Storage is wrapped so every query is
+// timed and its errors counted, labelled with the HTTP route or socket
+// event that issued it ('background' for timers and bus handlers).
+
+// Age bounds (seconds) for the queued-message age distribution
+const QUEUE_AGE_BOUNDS = [60, 300, 900, 3600, 6 * 3600, 24 * 3600, 7 * 24 * 3600];
+
+function createMetrics({ prefix = 'relay_' } = {}) {
+    const register = new client.Registry();
+    const context = new AsyncLocalStorage();
+    client.collectDefaultMetrics({ register, prefix });
+
+    let queueSource = null;  // async (ageBounds) => storage.getQueueStats(ageBounds)
+    let queuePromise = null;
+    let queueLoadedAt = 0;
+
+    // Gauges are collected in parallel; they share one storage query per scrape
+    function loadQueueStats() {
+        if (!queuePromise || Date.now() - queueLoadedAt > 1000) {
+            queueLoadedAt = Date.now();
+            queuePromise = queueSource
+                ? queueSource(QUEUE_AGE_BOUNDS).catch(err => {
+                    console.error("Metrics queue stats error:", err.message);
+                    return null;
+                })
+                : Promise.resolve(null);
+        }
+        return queuePromise;
+    }
+
+    const messagesStored = new client.Counter({
+        name: `${prefix}messages_stored_total`,
+        help: 'Messages written to a mailbox',
+        labelNames: ['kind'],
+        registers: [register]
+    });
+    const messagesLiveDelivered = new client.Counter({
+        name: `${prefix}messages_live_delivered_total`,
+        help: 'Messages pushed to at least one connected device at send time',
+        registers: [register]
+    });
+    const messagesQueued = new client.Counter({
+        name: `${prefix}messages_queued_total`,
+        help: 'Messages stored with no connected device to push to',
+        registers: [register]
+    });
+    const deliveryLatency = new client.Histogram({
+        name: `${prefix}delivery_latency_seconds`,
+        help: 'Time from /send to the first ack or inbox delete',
+        buckets: [0.1, 0.5, 1, 5, 30, 60, 300, 1800, 3600, 6 * 3600, 24 * 3600],
+        registers: [register]
+    });
+    const socketConnects = new client.Counter({
+        name: `${prefix}socket_connects_total`,
+        help: 'Socket.IO connections accepted',
+        registers: [register]
+    });
+    const socketDisconnects = new client.Counter({
+        name: `${prefix}socket_disconnects_total`,
+        help: 'Socket.IO disconnections',
+        labelNames: ['reason'],
+        registers: [register]
+    });
+    const socketEvents = new client.Counter({
+        name: `${prefix}socket_events_total`,
+        help: 'Relayed socket events (signal, typing)',
+        labelNames: ['event'],
+        registers: [register]
+    });
+    const pushNotifications = new client.Counter({
+        name: `${prefix}push_notifications_total`,
+        help: 'Wake-up notification attempts by adapter and outcome (ok, retry, failed, gone)',
+        labelNames: ['adapter', 'result'],
+        registers: [register]
+    });
+    const dbQueryDuration = new client.Histogram({
+        name: `${prefix}db_query_duration_seconds`,
+        help: 'Storage call latency',
+        labelNames: ['route', 'operation'],
+        buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+        registers: [register]
+    });
+    const dbErrors = new client.Counter({
+        name: `${prefix}db_errors_total`,
+        help: 'Failed storage calls',
+        labelNames: ['route', 'operation'],
+        registers: [register]
+    });
+    const cleanupRemoved = new client.Counter({
+        name: `${prefix}cleanup_removed_total`,
+        help: 'Rows removed by retention sweeps',
+        labelNames: ['task'],
+        registers: [register]
+    });
+    const cleanupDuration = new client.Histogram({
+        name: `${prefix}cleanup_duration_seconds`,
+        help: 'Retention sweep duration',
+        buckets: [0.01, 0.05, 0.1, 0.5, 1, 5, 30],
+        registers: [register]
+    });
+    const cleanupLastRun = new client.Gauge({
+        name: `${prefix}cleanup_last_run_timestamp_seconds`,
+        help: 'Unix time of the last retention sweep',
+        registers: [register]
+    });
+
+    new client.Gauge({
+        name: `${prefix}queue_depth`,
+        help: 'Unexpired messages waiting in mailboxes',
+        registers: [register],
+        async collect() {
+            const queueStats = await loadQueueStats();
+            this.set(queueStats ? queueStats.depth : 0);
+        }
+    });
+    new client.Gauge({
+        name: `${prefix}queue_oldest_message_age_seconds`,
+        help: 'Age of the oldest queued message',
+        registers: [register],
+        async collect() {
+            const queueStats = await loadQueueStats();
+            this.set(queueStats ? queueStats.oldestAgeSeconds : 0);
+        }
+    });
+    new client.Gauge({
+        name: `${prefix}queue_messages_by_age`,
+        help: 'Queued messages at most `le` seconds old (cumulative)',
+        labelNames: ['le'],
+        registers: [register],
+        async collect() {
+            const queueStats = await loadQueueStats();
+            this.reset();
+            if (!queueStats) return;
+            for (const { le, count } of queueStats.byAge) this.set({ le: String(le) }, count);
+            this.set({ le: '+Inf' }, queueStats.depth);
+        }
+    });
+
+    function currentRoute() {
+        const store = context.getStore();
+        if (!store) return 'background';
+        if (store.req) return store.req.route ? store.req.baseUrl + store.req.route.path : 'unmatched';
+        return store.route;
+    }
+
+    // Proxy that times every async storage method
+    function instrumentStorage(storage) {
+        return new Proxy(storage, {
+            get(target, prop) {
+                const value = target[prop];
+                if (typeof value !== 'function' || prop === 'close') return value;
+                return async (...args) => {
+                    const labels = { route: currentRoute(), operation: String(prop) };
+                    const end = dbQueryDuration.startTimer(labels);
+                    try {
+                        return await value.apply(target, args);
+                    } catch (err) {
+                        dbErrors.inc(labels);
+                        throw err;
+                    } finally {
+                        end();
+                    }
+                };
+            }
+        });
+    }
+
+    // Express middleware: storage calls made while handling req are labelled with its route
+    function httpContext(req, res, next) {
+        context.run({ req }, next);
+    }
+
+    // Socket.IO per-socket middleware: label storage calls with the event name
+    function socketContext(packet, next) {
+        context.run({ route: `socket:${packet[0]}` }, next);
+    }
+
+    function observeSweep(results, durationMs) {
+        cleanupDuration.observe(durationMs / 1000);
+        cleanupLastRun.set(Date.now() / 1000);
+        for (const [task, removed] of Object.entries(results)) cleanupRemoved.inc({ task }, removed);
+    }
+
+    return {
+        register,
+        messagesStored,
+        messagesLiveDelivered,
+        messagesQueued,
+        deliveryLatency,
+        socketConnects,
+        socketDisconnects,
+        socketEvents,
+        pushNotifications,
+        instrumentStorage,
+        httpContext,
+        socketContext,
+        observeSweep,
+        setQueueSource(fn) { queueSource = fn; }
+    };
+}
+
+module.exports = { createMetrics, QUEUE_AGE_BOUNDS };
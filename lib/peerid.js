@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+
+// =============================================
+// PEER IDS — proving control of a libp2p peerId
+// =============================================
+// A libp2p peerId is the base58btc multihash of the peer's protobuf-encoded
+// public key:
+//   - identity multihash (0x00, "12D3KooW..."): the key itself is embedded
+//   - sha256 multihash (0x12, "Qm..."): the client also sends the key, which
+//     must hash to the peerId
+//
+// The protobuf is { 1: KeyType (varint), 2: Data (bytes) } with KeyType
+// RSA=0 (DER SPKI), Ed25519=1 (raw 32 bytes), Secp256k1=2 (compressed point),
+// ECDSA=3 (DER SPKI). Signatures are libp2p's: raw Ed25519, PKCS#1 v1.5 /
+// DER ECDSA over SHA-256 otherwise.
+
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+const SECP256K1_SPKI_PREFIX = Buffer.from('3036301006072a8648ce3d020106052b8104000a032200', 'hex');
+
+function base58Decode(text) {
+    if (typeof text !== 'string' || !text) return null;
+    const bytes = [];
+    for (const char of text) {
+        let carry = BASE58.indexOf(char);
+        if (carry < 0) return null;
+        for (let i = 0; i < bytes.length; i++) {
+            carry += bytes[i] * 58;
+            bytes[i] = carry & 0xff;
+            carry >>= 8;
+        }
+        while (carry > 0) {
+            bytes.push(carry & 0xff);
+            carry >>= 8;
+        }
+    }
+    for (const char of text) {
+        if (char !== '1') break;
+        bytes.push(0);
+    }
+    return Buffer.from(bytes.reverse());
+}
+
+// { value, offset } for the varint at `offset`, or null when truncated
+function readVarint(buf, offset) {
+    let value = 0;
+    for (let shift = 0; offset < buf.length && shift < 35; shift += 7) {
+        const byte = buf[offset++];
+        value += (byte & 0x7f) * 2 ** shift;
+        if (!(byte & 0x80)) return { value, offset };
+    }
+    return null;
+}
+
+// Protobuf PublicKey -> { type, data }
+function decodeKeyProto(buf) {
+    let type = null, data = null, offset = 0;
+    while (offset < buf.length) {
+        const tag = readVarint(buf, offset);
+        if (!tag) return null;
+        offset = tag.offset;
+        if (tag.value === 0x08) {
+            const field = readVarint(buf, offset);
+            if (!field) return null;
+            type = field.value;
+            offset = field.offset;
+        } else if (tag.value === 0x12) {
+            const length = readVarint(buf, offset);
+            if (!length || length.offset + length.value > buf.length) return null;
+            data = buf.subarray(length.offset, length.offset + length.value);
+            offset = length.offset + length.value;
+        } else {
+            return null;
+        }
+    }
+    return type === null || !data ? null : { type, data };
+}
+
+function toKeyObject({ type, data }) {
+    try {
+        if (type === 1 && data.length === 32) {
+            return crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, data]), format: 'der', type: 'spki' });
+        }
+        if (type === 2 && data.length === 33) {
+            return crypto.createPublicKey({ key: Buffer.concat([SECP256K1_SPKI_PREFIX, data]), format: 'der', type: 'spki' });
+        }
+        if (type === 0 || type === 3) return crypto.createPublicKey({ key: data, format: 'der', type: 'spki' });
+    } catch (err) {
+        return null;
+    }
+    return null;
+}
+
+// The public key behind peerId, or null when it can't be established.
+// peerKey: base64 protobuf PublicKey, needed for sha256 peerIds
+function peerIdKey(peerId, peerKey) {
+    const multihash = base58Decode(peerId);
+    if (!multihash) return null;
+    const code = readVarint(multihash, 0);
+    const length = code && readVarint(multihash, code.offset);
+    if (!length || length.offset + length.value !== multihash.length) return null;
+    const digest = multihash.subarray(length.offset);
+
+    let proto;
+    if (code.value === 0x00) {
+        proto = digest;
+    } else if (code.value === 0x12 && length.value === 32 && typeof peerKey === 'string') {
+        proto = Buffer.from(peerKey, 'base64');
+        if (!crypto.createHash('sha256').update(proto).digest().equals(digest)) return null;
+    } else {
+        return null;
+    }
+    const decoded = decodeKeyProto(proto);
+    return decoded ? toKeyObject(decoded) : null;
+}
+
+// Was `message` signed by the key behind peerId?
+function verifyPeerSignature(peerId, peerKey, message, signature) {
+    const key = peerIdKey(peerId, peerKey);
+    if (!key || typeof signature !== 'string') return false;
+    try {
+        const sig = Buffer.from(signature, 'base64');
+        if (key.asymmetricKeyType === 'ed25519') return crypto.verify(null, message, key, sig);
+        return crypto.verify('sha256', message, key, sig);
+    } catch (err) {
+        return false;
+    }
+}
+
+module.exports = { peerIdKey, verifyPeerSignature };
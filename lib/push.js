@@ -0,0 +1,366 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const express = require('express');
+const { bearerToken } = require('./auth');
+
+// =============================================
+// PUSH — payload-free wake-ups for offline recipients
+// =============================================
+// A mailbox registers endpoints with POST /push/:hash. When /send finds no
+// connected device anywhere, every endpoint of the recipient gets a wake-up
+// that carries no message data; the app wakes, connects and drains its
+// mailbox as usual. Only a mailbox with a registered key (signed in with a
+// session) may add endpoints. Adapters (PUSH_ADAPTERS, comma-separated):
+//   webhook   POST { type: 'wake', endpointId } to an https URL on one of the
+//             PUSH_WEBHOOK_HOSTS; off without that allowlist
+//   webpush   empty Web Push message signed with VAPID (VAPID_PUBLIC_KEY,
+//             VAPID_PRIVATE_KEY as base64url raw keys, VAPID_SUBJECT); push
+//             services resolving to private or loopback addresses are refused
+//   local     in-process stand-in that records wake-ups, for tests
+// Adapter results: 'ok', 'gone' (404/410: endpoint pruned now), 'failed'
+// (counted; pruned after PUSH_MAX_FAILURES in a row), or a thrown error,
+// which is retried with exponential backoff up to PUSH_MAX_ATTEMPTS.
+
+const b64url = value => Buffer.from(value).toString('base64url');
+
+function classify(status) {
+    if (status >= 200 && status < 300) return 'ok';
+    if (status === 404 || status === 410) return 'gone';
+    if (status === 429 || status >= 500) throw new Error(`HTTP ${status}`);
+    return 'failed';
+}
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) address = mapped[1];
+    return PRIVATE_ADDRESSES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+// Error text when a push URL's host is (or resolves to) an address inside the
+// relay's network, null when every address is public
+async function privateHostError(value) {
+    const hostname = new URL(value).hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+    try {
+        addresses = net.isIP(hostname) ? [hostname] : (await dns.promises.lookup(hostname, { all: true })).map(a => a.address);
+    } catch (err) {
+        return `Host ${hostname} does not resolve`;
+    }
+    return addresses.some(isPrivateAddress) ? `Host ${hostname} is not a public address` : null;
+}
+
+function checkUrl(value, allowHttp, hosts) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (err) {
+        return "Invalid URL";
+    }
+    if (url.protocol !== 'https:' && !(allowHttp && url.protocol === 'http:')) return "Push endpoints must use https";
+    if (hosts && !hosts.includes(url.hostname)) return `Host ${url.hostname} is not allowed`;
+    return null;
+}
+
+function createWebhookAdapter({
+    allowHttp = process.env.PUSH_ALLOW_HTTP === 'true',
+    hosts = process.env.PUSH_WEBHOOK_HOSTS ? process.env.PUSH_WEBHOOK_HOSTS.split(',').map(h => h.trim()).filter(Boolean) : null,
+    timeoutMs = 5000
+} = {}) {
+    // Without an allowlist any mailbox could point the relay at any URL
+    if (!hosts || !hosts.length) throw new Error('Webhook push needs PUSH_WEBHOOK_HOSTS');
+
+    return {
+        name: 'webhook',
+        validate({ url }) {
+            const error = checkUrl(url, allowHttp, hosts);
+            return error ? { error } : { target: url, keys: null };
+        },
+        async send(endpoint) {
+            const res = await fetch(endpoint.target, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ type: 'wake', endpointId: endpoint.id }),
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            return classify(res.status);
+        }
+    };
+}
+
+function createWebPushAdapter({
+    publicKey = process.env.VAPID_PUBLIC_KEY,
+    privateKey = process.env.VAPID_PRIVATE_KEY,
+    subject = process.env.VAPID_SUBJECT || 'mailto:admin@localhost',
+    ttlSeconds = 24 * 60 * 60,
+    timeoutMs = 5000
+} = {}) {
+    const raw = Buffer.from(publicKey, 'base64url');
+    const signingKey = crypto.createPrivateKey({
+        key: { kty: 'EC', crv: 'P-256', d: privateKey, x: b64url(raw.subarray(1, 33)), y: b64url(raw.subarray(33, 65)) },
+        format: 'jwk'
+    });
+    const tokens = new Map();  // audience -> { jwt, expiresAt }
+
+    // RFC 8292 VAPID token, reused until an hour before it expires
+    function vapidToken(audience) {
+        const cached = tokens.get(audience);
+        if (cached && cached.expiresAt - 3600 > Date.now() / 1000) return cached.jwt;
+        const expiresAt = Math.floor(Date.now() / 1000) + 12 * 3600;
+        const unsigned = `${b64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }))}.${b64url(JSON.stringify({ aud: audience, exp: expiresAt, sub: subject }))}`;
+        const signature = crypto.sign('sha256', Buffer.from(unsigned), { key: signingKey, dsaEncoding: 'ieee-p1363' });
+        const jwt = `${unsigned}.${b64url(signature)}`;
+        tokens.set(audience, { jwt, expiresAt });
+        return jwt;
+    }
+
+    return {
+        name: 'webpush',
+        publicKey,
+        // Takes a browser PushSubscription: { subscription: { endpoint, keys } }
+        async validate({ subscription }) {
+            if (!subscription || typeof subscription.endpoint !== 'string') return { error: "Missing subscription.endpoint" };
+            const error = checkUrl(subscription.endpoint, false, null) || await privateHostError(subscription.endpoint);
+            return error ? { error } : { target: subscription.endpoint, keys: JSON.stringify(subscription.keys || null) };
+        },
+        async send(endpoint) {
+            // Checked again per send: the name may resolve elsewhere by now
+            const error = await privateHostError(endpoint.target);
+            if (error) {
+                console.warn(`Web Push endpoint refused: ${error}`);
+                return 'gone';
+            }
+            const res = await fetch(endpoint.target, {
+                method: 'POST',
+                headers: {
+                    TTL: String(ttlSeconds),
+                    Urgency: 'high',
+                    Authorization: `vapid t=${vapidToken(new URL(endpoint.target).origin)}, k=${publicKey}`
+                },
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            return classify(res.status);
+        }
+    };
+}
+
+// respond(endpoint) decides the outcome; it may throw to exercise retries
+function createLocalAdapter({ respond = () => 'ok', keep = 100 } = {}) {
+    const sent = [];
+    return {
+        name: 'local',
+        sent,
+        validate({ url }) {
+            return typeof url === 'string' && url ? { target: url, keys: null } : { error: "Missing url" };
+        },
+        async send(endpoint) {
+            const result = await respond(endpoint);
+            sent.push({ endpointId: endpoint.id, mailbox: endpoint.mailbox, target: endpoint.target, result, at: Date.now() });
+            if (sent.length > keep) sent.shift();
+            console.log(`🔔 Wake-up (local) for ${endpoint.mailbox.substring(0, 10)}... -> ${result}`);
+            return result;
+        }
+    };
+}
+
+// Web Push is on by default when VAPID keys are set, webhooks when
+// PUSH_WEBHOOK_HOSTS is; the warnings are only for an explicit list
+// (PUSH_ADAPTERS, or names passed in) that asks for one without its settings
+function loadAdapters(names = process.env.PUSH_ADAPTERS || null, { webhook = {}, vapid = {} } = {}) {
+    const explicit = !!names;
+    const list = typeof names === 'string' ? names.split(',') : names || ['webhook', 'webpush'];
+    const adapters = {};
+    for (const name of list.map(n => n.trim()).filter(Boolean)) {
+        if (name === 'webhook') {
+            const hosts = webhook.hosts || process.env.PUSH_WEBHOOK_HOSTS;
+            if (hosts && hosts.length) adapters.webhook = createWebhookAdapter(webhook);
+            else if (explicit) console.warn('⚠️ Webhook push disabled: set PUSH_WEBHOOK_HOSTS');
+        } else if (name === 'local') adapters.local = createLocalAdapter();
+        else if (name === 'webpush') {
+            const keys = { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY, ...vapid };
+            if (keys.publicKey && keys.privateKey) adapters.webpush = createWebPushAdapter(keys);
+            else if (explicit) console.warn('⚠️ Web Push disabled: set VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY');
+        } else {
+            throw new Error(`Unknown push adapter: ${name}`);
+        }
+    }
+    return adapters;
+}
+
+// adapters: a map of adapter objects (used as is), or names to load with the
+// webhook / vapid settings; PUSH_ADAPTERS when not given
+function createPush({
+    storage,
+    adapters = null,
+    webhook,
+    vapid,
+    maxAttempts = Number(process.env.PUSH_MAX_ATTEMPTS) || 4,
+    retryBaseMs = Number(process.env.PUSH_RETRY_BASE_MS) || 2000,
+    maxFailures = Number(process.env.PUSH_MAX_FAILURES) || 5,
+    cooldownMs = Number(process.env.PUSH_COOLDOWN_MS) || 30 * 1000,
+    onResult = () => {}
+}) {
+    if (!adapters || typeof adapters === 'string' || Array.isArray(adapters)) {
+        adapters = loadAdapters(adapters || undefined, { webhook, vapid });
+    }
+    const timers = new Set();
+
+    async function record(endpoint, result) {
+        onResult(endpoint.adapter, result);
+        try {
+            if (result === 'ok') {
+                await storage.recordPushSuccess(endpoint.id, Date.now());
+            } else if (result === 'gone') {
+                await storage.deletePushEndpoint(endpoint.id);
+                console.warn(`Pruned expired ${endpoint.adapter} endpoint for ${endpoint.mailbox.substring(0, 10)}...`);
+            } else {
+                const failures = await storage.recordPushFailure(endpoint.id);
+                if (failures >= maxFailures) {
+                    await storage.deletePushEndpoint(endpoint.id);
+                    console.warn(`Pruned ${endpoint.adapter} endpoint for ${endpoint.mailbox.substring(0, 10)}... after ${failures} failed wake-ups`);
+                }
+            }
+        } catch (err) {
+            console.error("Push bookkeeping error:", err.message);
+        }
+    }
+
+    async function attempt(endpoint, n) {
+        const adapter = adapters[endpoint.adapter];
+        if (!adapter) return;  // adapter switched off since registration
+        let result;
+        try {
+            result = await adapter.send(endpoint);
+        } catch (err) {
+            if (n < maxAttempts) {
+                onResult(endpoint.adapter, 'retry');
+                const timer = setTimeout(() => {
+                    timers.delete(timer);
+                    attempt(endpoint, n + 1);
+                }, retryBaseMs * 2 ** (n - 1));
+                if (timer.unref) timer.unref();
+                timers.add(timer);
+                return;
+            }
+            console.error(`Push ${endpoint.adapter} failed after ${n} attempts:`, err.message);
+            result = 'failed';
+        }
+        await record(endpoint, result);
+    }
+
+    // At most one wake-up per mailbox per cooldown, whichever instance sends it;
+    // returns the endpoints notified
+    async function wake(mailbox) {
+        const now = Date.now();
+        if (!(await storage.claimPushWake(mailbox, now, now - cooldownMs))) return 0;
+        const endpoints = await storage.listPushEndpoints(mailbox);
+        endpoints.forEach(endpoint => attempt(endpoint, 1));
+        return endpoints.length;
+    }
+
+    // Cooldowns that ran out carry no state worth keeping
+    function prune(now = Date.now()) {
+        return storage.deletePushWakesBefore(now - cooldownMs);
+    }
+
+    // Pending retries are dropped; the message itself stays queued
+    function stop() {
+        timers.forEach(timer => clearTimeout(timer));
+        timers.clear();
+    }
+
+    return { adapters, wake, prune, stop, pendingRetries: () => timers.size };
+}
+
+// Endpoint registration, per mailbox (needs mailbox auth like the inbox;
+// adding one needs a session, so only mailboxes with a key can)
+function createPushRouter({ storage, push, mailboxAuth, maxEndpoints = Number(process.env.PUSH_MAX_ENDPOINTS) || 10 }) {
+    const router = express.Router();
+
+    router.get('/vapid-public-key', (req, res) => {
+        if (!push.adapters.webpush) return res.status(404).json({ error: "Web Push not configured" });
+        res.json({ publicKey: push.adapters.webpush.publicKey });
+    });
+
+    router.use('/:hash', async (req, res, next) => {
+        try {
+            if (!(await mailboxAuth.authorizeHash(req.params.hash, bearerToken(req)))) {
+                return res.status(401).json({ error: "Mailbox authentication required" });
+            }
+            next();
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    // { adapter: 'webhook' | 'local', url } or { adapter: 'webpush', subscription }
+    router.post('/:hash', async (req, res) => {
+        if (mailboxAuth.sessionHash(bearerToken(req)) !== req.params.hash) {
+            return res.status(401).json({ error: "Register a publicKey and sign in before adding push endpoints" });
+        }
+        const adapter = push.adapters[req.body.adapter];
+        if (!adapter) return res.status(400).json({ error: `adapter must be one of: ${Object.keys(push.adapters).join(', ')}` });
+
+        try {
+            const { target, keys, error } = await adapter.validate(req.body);
+            if (error) return res.status(400).json({ error });
+
+            const existing = await storage.listPushEndpoints(req.params.hash);
+            if (existing.length >= maxEndpoints && !existing.some(e => e.target === target)) {
+                return res.status(400).json({ error: `Endpoint limit is ${maxEndpoints} per mailbox` });
+            }
+            const id = await storage.savePushEndpoint({
+                id: crypto.randomBytes(12).toString('hex'), mailbox: req.params.hash,
+                adapter: adapter.name, target, keys, timestamp: Date.now()
+            });
+            console.log(`Push endpoint (${adapter.name}) registered for ${req.params.hash.substring(0, 10)}...`);
+            res.json({ success: true, id });
+        } catch (err) {
+            console.error("Push Register Error:", err.message);
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    router.get('/:hash', async (req, res) => {
+        try {
+            const endpoints = await storage.listPushEndpoints(req.params.hash);
+            res.json({
+                count: endpoints.length,
+                endpoints: endpoints.map(e => ({
+                    id: e.id,
+                    adapter: e.adapter,
+                    target: e.target,
+                    failures: Number(e.failures),
+                    lastSuccess: e.last_success ? Number(e.last_success) : null,
+                    createdAt: Number(e.created_at)
+                }))
+            });
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    router.delete('/:hash/:id', async (req, res) => {
+        try {
+            const endpoints = await storage.listPushEndpoints(req.params.hash);
+            const removed = endpoints.some(e => e.id === req.params.id) ? await storage.deletePushEndpoint(req.params.id) : 0;
+            res.json({ success: true, removed });
+        } catch (err) {
+            res.status(500).json({ error: "DB Error" });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createPush, createPushRouter, loadAdapters, createWebhookAdapter, createWebPushAdapter, createLocalAdapter };
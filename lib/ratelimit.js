@@ -0,0 +1,110 @@
+// =============================================
+// RATE LIMITING — token buckets per IP and per identity
+// =============================================
+// Each rule has optional `ip`, `identity` and `recipient` buckets:
+//   { capacity: burst size, perMinute: sustained refill rate }
+// `identity` is the caller (the mailbox its session or socket belongs to),
+// never whoever it targets, or anyone could lock a mailbox out. `recipient`
+// caps traffic to one target from everyone together, so it sits well above
+// what a single caller gets. A request must get a token from every bucket
+// that applies to it.
+// Override defaults with RATE_LIMITS as JSON, e.g.
+//   RATE_LIMITS='{"send":{"ip":{"capacity":100,"perMinute":300}}}'
+// or disable entirely with RATE_LIMITS=off. Buckets are per instance.
+
+const DEFAULT_LIMITS = {
+    send: {
+        ip: { capacity: 60, perMinute: 120 },
+        identity: { capacity: 30, perMinute: 60 },
+        recipient: { capacity: 300, perMinute: 600 }
+    },
+    identity: { ip: { capacity: 10, perMinute: 20 }, identity: { capacity: 5, perMinute: 10 } },
+    // Recovery and directory lookups are the hash brute-forcing surfaces
+    recover: { ip: { capacity: 5, perMinute: 5 }, identity: { capacity: 3, perMinute: 3 } },
+    directory: { ip: { capacity: 20, perMinute: 30 } },
+    // Per IP only: a per-hash bucket would let anyone lock a mailbox out of signing in
+    challenge: { ip: { capacity: 10, perMinute: 30 } },
+    // Batch discovery is charged per bucket: one address book sync fits the
+    // burst, walking every bucket of the directory takes weeks
+    discover: { ip: { capacity: 1000, perMinute: 2 }, identity: { capacity: 1000, perMinute: 2 } },
+    signal: { ip: { capacity: 200, perMinute: 1200 }, identity: { capacity: 100, perMinute: 600 } },
+    typing: { ip: { capacity: 20, perMinute: 120 }, identity: { capacity: 10, perMinute: 60 } },
+    call: { ip: { capacity: 10, perMinute: 30 }, identity: { capacity: 5, perMinute: 20 } },
+    'check-status': { ip: { capacity: 60, perMinute: 240 } },
+    'subscribe-presence': { ip: { capacity: 20, perMinute: 60 } },
+    attachment: { ip: { capacity: 20, perMinute: 60 } }
+};
+
+// overrides: RATE_LIMITS-style JSON text or the parsed object; 'off' or false disables
+function loadLimits(overrides = process.env.RATE_LIMITS) {
+    if (overrides === 'off' || overrides === false) return {};
+    if (!overrides) return DEFAULT_LIMITS;
+    if (typeof overrides === 'string') overrides = JSON.parse(overrides);
+    const limits = { ...DEFAULT_LIMITS };
+    for (const [rule, buckets] of Object.entries(overrides)) {
+        limits[rule] = { ...limits[rule], ...buckets };
+    }
+    return limits;
+}
+
+// callerOf(req): the per-identity key of an HTTP request, null when anonymous
+function createRateLimits({ limits = loadLimits(), callerOf = () => null } = {}) {
+    const buckets = new Map();  // "rule:scope:key" -> { tokens, updatedAt }
+
+    // Take `cost` tokens; returns ms until they are available when short
+    function take(bucketKey, { capacity, perMinute }, now, cost) {
+        const rate = perMinute / 60000;
+        let bucket = buckets.get(bucketKey);
+        if (!bucket) buckets.set(bucketKey, bucket = { tokens: capacity, updatedAt: now, capacity, rate });
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * rate);
+        bucket.updatedAt = now;
+        if (bucket.tokens >= cost) {
+            bucket.tokens -= cost;
+            return 0;
+        }
+        return Math.ceil((cost - bucket.tokens) / rate);
+    }
+
+    // { allowed, retryAfter (seconds) }
+    function check(rule, { ip, identity, recipient } = {}, cost = 1) {
+        const config = limits[rule];
+        if (!config) return { allowed: true, retryAfter: 0 };
+        const now = Date.now();
+
+        for (const [scope, key] of [['ip', ip], ['identity', identity], ['recipient', recipient]]) {
+            if (!config[scope] || !key) continue;
+            const waitMs = take(`${rule}:${scope}:${key}`, config[scope], now, cost);
+            if (waitMs > 0) return { allowed: false, retryAfter: Math.ceil(waitMs / 1000), scope };
+        }
+        return { allowed: true, retryAfter: 0 };
+    }
+
+    // Express middleware; recipientOf(req) picks the targeted mailbox, if any,
+    // costOf(req) how many tokens the request takes
+    function middleware(rule, { recipientOf = () => null, costOf = () => 1 } = {}) {
+        return (req, res, next) => {
+            const result = check(rule, { ip: req.ip, identity: callerOf(req), recipient: recipientOf(req) }, costOf(req));
+            if (result.allowed) return next();
+            console.warn(`Rate limited ${rule} (${result.scope}) from ${req.ip}`);
+            res.set('Retry-After', String(result.retryAfter));
+            res.status(429).json({ error: "Too many requests", retryAfter: result.retryAfter });
+        };
+    }
+
+    // Full buckets carry no state worth keeping
+    function prune() {
+        const now = Date.now();
+        let removed = 0;
+        buckets.forEach((bucket, key) => {
+            if (bucket.tokens + (now - bucket.updatedAt) * bucket.rate >= bucket.capacity) {
+                buckets.delete(key);
+                removed++;
+            }
+        });
+        return removed;
+    }
+
+    return { check, middleware, prune, limits };
+}
+
+module.exports = { createRateLimits, loadLimits, DEFAULT_LIMITS };
@@ -0,0 +1,55 @@
+// =============================================
+// RETENTION ENGINE — periodic expiry sweeps
+// =============================================
+// Subsystems register sweep tasks; each task receives the sweep time and
+// resolves to the number of rows it removed. Expiry is also enforced at
+// read time by storage, so the sweep only reclaims space — it is never
+// what keeps expired data from being served.
+
+// onSweep(results, durationMs) is called after every sweep, e.g. for metrics.
+function createRetention({ intervalMs = Number(process.env.RETENTION_SWEEP_MS) || 10 * 60 * 1000, onSweep = () => {} } = {}) {
+    const tasks = new Map();  // name -> async (now) => removedCount
+    let timer = null;
+    let running = null;
+
+    function addTask(name, task) {
+        tasks.set(name, task);
+    }
+
+    // One sweep at a time; callers during a sweep share its result
+    function sweep() {
+        if (running) return running;
+        running = (async () => {
+            const now = Date.now();
+            const results = {};
+            for (const [name, task] of tasks) {
+                try {
+                    results[name] = (await task(now)) || 0;
+                    if (results[name] > 0) console.log(`Cleaned up ${results[name]} expired ${name}`);
+                } catch (err) {
+                    results[name] = 0;
+                    console.error(`Cleanup Error (${name}):`, err.message);
+                }
+            }
+            onSweep(results, Date.now() - now);
+            return results;
+        })().finally(() => { running = null; });
+        return running;
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(sweep, intervalMs);
+        if (timer.unref) timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+        return running || Promise.resolve();
+    }
+
+    return { addTask, sweep, start, stop, intervalMs };
+}
+
+module.exports = { createRetention };
@@ -0,0 +1,26 @@
+// Apply pending schema migrations to the configured storage and exit.
+//   npm run migrate               apply
+//   npm run migrate -- --dry-run  list pending migrations and their SQL
+const { createStorage } = require('../storage');
+const { latestVersion } = require('../storage/migrate');
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const storage = createStorage();
+
+    try {
+        const result = await storage.migrate({ dryRun });
+        if (dryRun) {
+            console.log(`${storage.name}: version ${result.from}, ${result.pending.length} pending (latest ${latestVersion()})`);
+        } else {
+            console.log(`${storage.name}: migrated ${result.from} -> ${result.to}`);
+        }
+    } finally {
+        await storage.close();
+    }
+}
+
+main().catch(err => {
+    console.error('❌ Migration failed:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,29 @@
+const { createPostgresStorage } = require('./postgres');
+const { createSqliteStorage } = require('./sqlite');
+
+// Pick a storage backend from config.
+//   STORAGE=postgres  -> PostgreSQL at DATABASE_URL
+//   STORAGE=sqlite    -> SQLite at SQLITE_FILE (defaults to in-memory)
+// With no STORAGE set we keep the old behaviour: Postgres at DATABASE_URL.
+// SQLite is only ever picked explicitly, so a deploy that lost its
+// DATABASE_URL fails at boot instead of queueing mail in memory.
+function createStorage(options = {}) {
+    const driver = (options.driver || process.env.STORAGE || 'postgres').toLowerCase();
+    if (['postgres', 'postgresql', 'pg'].includes(driver) && !options.connectionString && !process.env.DATABASE_URL) {
+        throw new Error('DATABASE_URL is not set (use STORAGE=sqlite for a local SQLite database)');
+    }
+
+    switch (driver) {
+        case 'postgres':
+        case 'postgresql':
+        case 'pg':
+            return createPostgresStorage(options);
+        case 'sqlite':
+        case 'sqlite3':
+            return createSqliteStorage(options);
+        default:
+            throw new Error(`Unknown storage driver: ${driver}`);
+    }
+}
+
+module.exports = { createStorage, createPostgresStorage, createSqliteStorage };
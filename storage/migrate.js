@@ -0,0 +1,98 @@
+const migrations = require('./migrations');
+
+// =============================================
+// MIGRATION RUNNER
+// =============================================
+// Backends hand in a small adapter:
+//   dialect                        'postgres' | 'sqlite'
+//   exec(sql, params)              run a statement
+//   all(sql, params)               run a query, return rows
+//   hasTable(name)                 does the table exist?
+//   hasColumn(table, column)       does the column exist?
+//   transaction(fn)                run fn atomically
+//   placeholder(n)                 '$n' or '?'
+// Each pending migration runs in its own transaction together with its
+// schema_version row, so a failed migration leaves nothing half-applied.
+
+function renderStep(step, dialect) {
+    if (typeof step === 'string') return { sql: step };
+    if (step.addColumn) return { addColumn: step.addColumn };
+    if (step.run) return step;
+    return { sql: step[dialect] };
+}
+
+function describeStep(step, dialect) {
+    const rendered = renderStep(step, dialect);
+    if (rendered.addColumn) {
+        const [table, column, type] = rendered.addColumn;
+        return `ALTER TABLE ${table} ADD COLUMN ${column} ${type}  -- if missing`;
+    }
+    if (rendered.run) return `-- ${rendered.description}`;
+    return rendered.sql.replace(/\s+/g, ' ').trim();
+}
+
+async function applyStep(db, step) {
+    const rendered = renderStep(step, db.dialect);
+    if (rendered.addColumn) {
+        const [table, column, type] = rendered.addColumn;
+        if (!(await db.hasColumn(table, column))) {
+            await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+        }
+        return;
+    }
+    if (rendered.run) {
+        await rendered.run(db);
+        return;
+    }
+    await db.exec(rendered.sql);
+}
+
+async function currentVersions(db) {
+    if (!(await db.hasTable('schema_version'))) return new Set();
+    const rows = await db.all('SELECT version FROM schema_version');
+    return new Set(rows.map(r => Number(r.version)));
+}
+
+// Returns { from, to, pending: [versions], applied: [versions] }
+async function runMigrations(db, { dryRun = false, log = console.log } = {}) {
+    const done = await currentVersions(db);
+    const pending = migrations.filter(m => !done.has(m.version));
+    const from = done.size ? Math.max(...done) : 0;
+
+    if (dryRun) {
+        if (pending.length === 0) log(`Schema is up to date (version ${from})`);
+        for (const migration of pending) {
+            log(`[dry-run] ${migration.version}: ${migration.name}`);
+            for (const step of migration.steps) log(`    ${describeStep(step, db.dialect)}`);
+        }
+        return { from, to: from, pending: pending.map(m => m.version), applied: [] };
+    }
+
+    await db.exec(`CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at BIGINT NOT NULL
+    )`);
+
+    const applied = [];
+    for (const migration of pending) {
+        await db.transaction(async () => {
+            for (const step of migration.steps) await applyStep(db, step);
+            await db.exec(
+                `INSERT INTO schema_version (version, name, applied_at) VALUES (${db.placeholder(1)}, ${db.placeholder(2)}, ${db.placeholder(3)})`,
+                [migration.version, migration.name, Date.now()]
+            );
+        });
+        applied.push(migration.version);
+        log(`✅ Migration ${migration.version} applied: ${migration.name}`);
+    }
+
+    const to = applied.length ? applied[applied.length - 1] : from;
+    return { from, to, pending: [], applied };
+}
+
+function latestVersion() {
+    return migrations[migrations.length - 1].version;
+}
+
+module.exports = { runMigrations, latestVersion };
@@ -0,0 +1,337 @@
+// =============================================
+// SCHEMA MIGRATIONS — ordered, append-only
+// =============================================
+const { entryHash } = require('../lib/identitylog');
+
+// Never edit a migration once released; add a new one. Every step must be
+// safe to re-run, so databases bootstrapped before schema_version existed
+// adopt the history without errors. A step is either:
+//   'SQL'                                  same SQL for both dialects
+//   { postgres: 'SQL', sqlite: 'SQL' }     dialect-specific SQL
+//   { addColumn: [table, column, type] }   ADD COLUMN only when missing
+//   { description, run: async db => {} }   data backfill in JS, via the runner's adapter
+
+module.exports = [
+    {
+        version: 1,
+        name: 'initial schema',
+        steps: [
+            `CREATE TABLE IF NOT EXISTS messages (
+                id TEXT PRIMARY KEY,
+                to_hash TEXT,
+                to_peer TEXT,
+                data TEXT NOT NULL,
+                timestamp BIGINT NOT NULL
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_messages_to_hash ON messages(to_hash)',
+            'CREATE INDEX IF NOT EXISTS idx_messages_to_peer ON messages(to_peer)',
+            `CREATE TABLE IF NOT EXISTS identities (
+                username TEXT PRIMARY KEY,
+                encrypted_blob TEXT,
+                peer_id TEXT,
+                display_name TEXT,
+                timestamp BIGINT
+            )`,
+            {
+                postgres: `CREATE TABLE IF NOT EXISTS peerid_history (
+                    id SERIAL PRIMARY KEY,
+                    username_hash TEXT NOT NULL,
+                    display_name TEXT,
+                    old_peer_id TEXT,
+                    new_peer_id TEXT,
+                    source TEXT,
+                    timestamp BIGINT NOT NULL
+                )`,
+                sqlite: `CREATE TABLE IF NOT EXISTS peerid_history (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    username_hash TEXT NOT NULL,
+                    display_name TEXT,
+                    old_peer_id TEXT,
+                    new_peer_id TEXT,
+                    source TEXT,
+                    timestamp BIGINT NOT NULL
+                )`
+            }
+        ]
+    },
+    {
+        version: 2,
+        name: 'identity public keys for mailbox auth',
+        steps: [
+            { addColumn: ['identities', 'public_key', 'TEXT'] }
+        ]
+    },
+    {
+        version: 3,
+        name: 'delivery receipts',
+        steps: [
+            { addColumn: ['messages', 'kind', "TEXT NOT NULL DEFAULT 'message'"] },
+            { addColumn: ['messages', 'receipt_to', 'TEXT'] }
+        ]
+    },
+    {
+        version: 4,
+        name: 'multi-device mailboxes',
+        steps: [
+            `CREATE TABLE IF NOT EXISTS devices (
+                mailbox TEXT NOT NULL,
+                device_id TEXT NOT NULL,
+                registered_at BIGINT NOT NULL,
+                last_seen BIGINT NOT NULL,
+                PRIMARY KEY (mailbox, device_id)
+            )`,
+            `CREATE TABLE IF NOT EXISTS message_acks (
+                message_id TEXT NOT NULL,
+                device_id TEXT NOT NULL,
+                acked_at BIGINT NOT NULL,
+                PRIMARY KEY (message_id, device_id)
+            )`
+        ]
+    },
+    {
+        version: 5,
+        name: 'message TTL and quota accounting',
+        steps: [
+            { addColumn: ['messages', 'size', 'INTEGER NOT NULL DEFAULT 0'] },
+            { addColumn: ['messages', 'expires_at', 'BIGINT'] },
+            // Rows from before per-message TTLs keep the old fixed 24h rule
+            {
+                postgres: 'UPDATE messages SET expires_at = timestamp + 86400000, size = octet_length(data) WHERE expires_at IS NULL',
+                sqlite: 'UPDATE messages SET expires_at = timestamp + 86400000, size = length(CAST(data AS BLOB)) WHERE expires_at IS NULL'
+            },
+            'CREATE INDEX IF NOT EXISTS idx_messages_expires_at ON messages(expires_at)'
+        ]
+    },
+    {
+        version: 6,
+        name: 'admin audit log',
+        steps: [
+            {
+                postgres: `CREATE TABLE IF NOT EXISTS admin_audit (
+                    id SERIAL PRIMARY KEY,
+                    action TEXT NOT NULL,
+                    target TEXT,
+                    actor TEXT,
+                    detail TEXT,
+                    timestamp BIGINT NOT NULL
+                )`,
+                sqlite: `CREATE TABLE IF NOT EXISTS admin_audit (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    action TEXT NOT NULL,
+                    target TEXT,
+                    actor TEXT,
+                    detail TEXT,
+                    timestamp BIGINT NOT NULL
+                )`
+            }
+        ]
+    },
+    {
+        version: 7,
+        name: 'group mailboxes',
+        steps: [
+            `CREATE TABLE IF NOT EXISTS mailbox_groups (
+                id TEXT PRIMARY KEY,
+                created_by TEXT NOT NULL,
+                created_at BIGINT NOT NULL
+            )`,
+            `CREATE TABLE IF NOT EXISTS group_members (
+                group_id TEXT NOT NULL,
+                member_hash TEXT NOT NULL,
+                role TEXT NOT NULL DEFAULT 'member',
+                added_at BIGINT NOT NULL,
+                PRIMARY KEY (group_id, member_hash)
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_group_members_member ON group_members(member_hash)',
+            { addColumn: ['messages', 'group_id', 'TEXT'] }
+        ]
+    },
+    {
+        version: 8,
+        name: 'hash-chained identity history',
+        steps: [
+            { addColumn: ['peerid_history', 'seq', 'INTEGER'] },
+            { addColumn: ['peerid_history', 'public_key', 'TEXT'] },
+            { addColumn: ['peerid_history', 'prev_hash', 'TEXT'] },
+            { addColumn: ['peerid_history', 'entry_hash', 'TEXT'] },
+            {
+                description: 'chain existing peerid_history rows per identity, oldest first',
+                run: async db => {
+                    const rows = await db.all('SELECT * FROM peerid_history WHERE entry_hash IS NULL ORDER BY username_hash, timestamp, id');
+                    let username = null;
+                    let seq = 0;
+                    let prevHash = null;
+                    for (const row of rows) {
+                        if (row.username_hash !== username) {
+                            username = row.username_hash;
+                            seq = 0;
+                            prevHash = null;
+                        }
+                        seq++;
+                        const hash = entryHash({
+                            seq, username, oldPeerId: row.old_peer_id, newPeerId: row.new_peer_id,
+                            publicKey: null, source: row.source, timestamp: row.timestamp, prevHash
+                        });
+                        await db.exec(
+                            `UPDATE peerid_history SET seq = ${db.placeholder(1)}, prev_hash = ${db.placeholder(2)}, entry_hash = ${db.placeholder(3)} WHERE id = ${db.placeholder(4)}`,
+                            [seq, prevHash, hash, row.id]
+                        );
+                        prevHash = hash;
+                    }
+                }
+            },
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_peerid_history_chain ON peerid_history(username_hash, seq)'
+        ]
+    },
+    {
+        version: 9,
+        name: 'presence privacy',
+        steps: [
+            { addColumn: ['identities', 'presence_visibility', 'TEXT'] }
+        ]
+    },
+    {
+        version: 10,
+        name: 'attachments',
+        steps: [
+            `CREATE TABLE IF NOT EXISTS attachments (
+                id TEXT PRIMARY KEY,
+                size BIGINT NOT NULL,
+                received BIGINT NOT NULL DEFAULT 0,
+                token_hash TEXT NOT NULL,
+                expires_at BIGINT NOT NULL,
+                timestamp BIGINT NOT NULL
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_attachments_expires_at ON attachments(expires_at)',
+            {
+                postgres: `CREATE TABLE IF NOT EXISTS attachment_chunks (
+                    attachment_id TEXT NOT NULL,
+                    chunk_offset BIGINT NOT NULL,
+                    size INTEGER NOT NULL,
+                    data BYTEA NOT NULL,
+                    PRIMARY KEY (attachment_id, chunk_offset)
+                )`,
+                sqlite: `CREATE TABLE IF NOT EXISTS attachment_chunks (
+                    attachment_id TEXT NOT NULL,
+                    chunk_offset BIGINT NOT NULL,
+                    size INTEGER NOT NULL,
+                    data BLOB NOT NULL,
+                    PRIMARY KEY (attachment_id, chunk_offset)
+                )`
+            }
+        ]
+    },
+    {
+        version: 11,
+        name: 'push endpoints',
+        steps: [
+            `CREATE TABLE IF NOT EXISTS push_endpoints (
+                id TEXT PRIMARY KEY,
+                mailbox TEXT NOT NULL,
+                adapter TEXT NOT NULL,
+                target TEXT NOT NULL,
+                keys TEXT,
+                failures INTEGER NOT NULL DEFAULT 0,
+                last_success BIGINT,
+                created_at BIGINT NOT NULL
+            )`,
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_push_endpoints_target ON push_endpoints(mailbox, target)'
+        ]
+    },
+    {
+        version: 12,
+        name: 'federation outbox',
+        steps: [
+            `CREATE TABLE IF NOT EXISTS federation_outbox (
+                message_id TEXT NOT NULL,
+                domain TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                next_attempt_at BIGINT NOT NULL,
+                last_error TEXT,
+                expires_at BIGINT NOT NULL,
+                timestamp BIGINT NOT NULL,
+                PRIMARY KEY (message_id, domain)
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_federation_outbox_due ON federation_outbox(next_attempt_at)'
+        ]
+    },
+    {
+        version: 13,
+        name: 'sender recall tokens',
+        steps: [
+            { addColumn: ['messages', 'sender_token_hash', 'TEXT'] }
+        ]
+    },
+    {
+        version: 14,
+        name: 'identity backup versions',
+        steps: [
+            { addColumn: ['identities', 'blob_version', 'INTEGER NOT NULL DEFAULT 1'] },
+            `CREATE TABLE IF NOT EXISTS identity_backups (
+                username TEXT NOT NULL,
+                version INTEGER NOT NULL,
+                encrypted_blob TEXT NOT NULL,
+                timestamp BIGINT NOT NULL,
+                PRIMARY KEY (username, version)
+            )`,
+            // The blob each identity has today becomes its first kept version
+            `INSERT INTO identity_backups (username, version, encrypted_blob, timestamp)
+             SELECT username, blob_version, encrypted_blob, COALESCE(timestamp, 0) FROM identities
+             WHERE encrypted_blob IS NOT NULL
+             ON CONFLICT DO NOTHING`
+        ]
+    },
+    {
+        version: 15,
+        name: 'shared auth and push state',
+        steps: [
+            `CREATE TABLE IF NOT EXISTS auth_challenges (
+                nonce TEXT PRIMARY KEY,
+                hash TEXT NOT NULL,
+                expires_at BIGINT NOT NULL
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_auth_challenges_hash ON auth_challenges(hash)',
+            'CREATE INDEX IF NOT EXISTS idx_auth_challenges_expires ON auth_challenges(expires_at)',
+            `CREATE TABLE IF NOT EXISTS relay_secrets (
+                name TEXT PRIMARY KEY,
+                value TEXT NOT NULL
+            )`,
+            `CREATE TABLE IF NOT EXISTS push_wakes (
+                mailbox TEXT PRIMARY KEY,
+                last_wake BIGINT NOT NULL
+            )`
+        ]
+    },
+    {
+        version: 16,
+        name: 'authenticated identity backups',
+        steps: [
+            { addColumn: ['identity_backups', 'authenticated', 'INTEGER NOT NULL DEFAULT 0'] }
+        ]
+    },
+    {
+        version: 17,
+        name: 'attachment owners',
+        steps: [
+            { addColumn: ['attachments', 'owner', 'TEXT'] },
+            'CREATE INDEX IF NOT EXISTS idx_attachments_owner ON attachments(owner)'
+        ]
+    },
+    {
+        version: 18,
+        name: 'unique identity peerIds',
+        steps: [
+            // Identities used to be able to share a peerId: the keyed one, else the most
+            // recently updated, keeps it
+            `UPDATE identities SET peer_id = NULL
+             WHERE peer_id IS NOT NULL AND username <> (
+                 SELECT other.username FROM identities other
+                 WHERE other.peer_id = identities.peer_id
+                 ORDER BY CASE WHEN other.public_key IS NULL THEN 1 ELSE 0 END, COALESCE(other.timestamp, 0) DESC, other.username
+                 LIMIT 1
+             )`,
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_identities_peer_id ON identities(peer_id)'
+        ]
+    }
+];
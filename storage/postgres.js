@@ -0,0 +1,615 @@
+const { Pool } = require('pg');
+const { runMigrations } = require('./migrate');
+
+// Serializes migrations when several instances boot at once
+const MIGRATION_LOCK_ID = 7216531;
+
+// =============================================
+// STORAGE BACKEND — PostgreSQL (Supabase / Neon)
+// =============================================
+function createPostgresStorage(options = {}) {
+    const pool = new Pool({
+        connectionString: options.connectionString || process.env.DATABASE_URL,
+        ssl: options.ssl !== undefined ? options.ssl : { rejectUnauthorized: false }  // Required for Supabase/Render managed PG
+    });
+
+    async function migrate({ dryRun = false, log } = {}) {
+        const client = await pool.connect();
+        try {
+            await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+            return await runMigrations({
+                dialect: 'postgres',
+                exec: (sql, params) => client.query(sql, params),
+                all: async (sql, params) => (await client.query(sql, params)).rows,
+                hasTable: async (name) => (await client.query('SELECT to_regclass($1) AS t', [name])).rows[0].t !== null,
+                hasColumn: async (table, column) => (await client.query(
+                    'SELECT 1 FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = $1 AND column_name = $2', [table, column]
+                )).rows.length > 0,
+                transaction: async (fn) => {
+                    await client.query('BEGIN');
+                    try {
+                        await fn();
+                        await client.query('COMMIT');
+                    } catch (err) {
+                        await client.query('ROLLBACK');
+                        throw err;
+                    }
+                },
+                placeholder: n => `$${n}`
+            }, { dryRun, log });
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+            client.release();
+        }
+    }
+
+    return {
+        name: 'postgresql',
+        pool,
+
+        // Apply pending migrations on startup (AUTO_MIGRATE=false: refuse to start instead)
+        async init({ autoMigrate = process.env.AUTO_MIGRATE !== 'false' } = {}) {
+            const result = await migrate({ dryRun: !autoMigrate, log: autoMigrate ? console.log : () => {} });
+            if (result.pending.length > 0) {
+                throw new Error(`Schema at version ${result.from}, migrations ${result.pending.join(', ')} pending: run npm run migrate`);
+            }
+            console.log(`✅ PostgreSQL schema ready (version ${result.to})`);
+        },
+
+        migrate,
+
+        async ping() {
+            await pool.query('SELECT 1');
+        },
+
+        async close() {
+            await pool.end();
+        },
+
+        // ---------- Messages ----------
+
+        // False when a message with this id already exists
+        async saveMessage({ id, toHash, toPeer, data, kind = 'message', receiptTo = null, groupId = null, senderTokenHash = null, expiresAt, timestamp }) {
+            const result = await pool.query(
+                'INSERT INTO messages (id, to_hash, to_peer, data, kind, receipt_to, group_id, sender_token_hash, size, expires_at, timestamp) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) ON CONFLICT (id) DO NOTHING',
+                [id, toHash, toPeer, data, kind, receiptTo, groupId, senderTokenHash, Buffer.byteLength(data), expiresAt, timestamp]
+            );
+            return result.rowCount > 0;
+        },
+
+        // Expired rows are never returned, even before the sweep removes them.
+        // deviceId: only messages that device has not acked yet
+        async getMessagesByHash(hash, { deviceId = null } = {}) {
+            const { rows } = await pool.query(
+                `SELECT * FROM messages m WHERE m.to_hash = $1 AND m.expires_at > $3
+                 AND ($2::text IS NULL OR NOT EXISTS (SELECT 1 FROM message_acks a WHERE a.message_id = m.id AND a.device_id = $2))
+                 ORDER BY m.timestamp ASC`, [hash, deviceId, Date.now()]
+            );
+            return rows;
+        },
+
+        // legacyOnly: skip messages that are also addressed to a hash
+        async getMessagesByPeer(peerId, { legacyOnly = false, deviceId = null } = {}) {
+            const { rows } = await pool.query(
+                `SELECT * FROM messages m WHERE m.to_peer = $1 AND m.expires_at > $3 ${legacyOnly ? 'AND m.to_hash IS NULL' : ''}
+                 AND ($2::text IS NULL OR NOT EXISTS (SELECT 1 FROM message_acks a WHERE a.message_id = m.id AND a.device_id = $2))
+                 ORDER BY m.timestamp ASC`, [peerId, deviceId, Date.now()]
+            );
+            return rows;
+        },
+
+        // The message itself, or every member copy of a group send ("<id>:<memberHash>")
+        async listSentCopies(id) {
+            const { rows } = await pool.query(
+                `SELECT * FROM messages WHERE expires_at > $1
+                 AND (id = $2 OR (group_id IS NOT NULL AND substr(id, 1, $3) = $4))`,
+                [Date.now(), id, id.length + 1, `${id}:`]
+            );
+            return rows;
+        },
+
+        // New ciphertext under the same id; acks are reset so every device gets it
+        async replaceMessageData(id, data) {
+            const result = await pool.query(
+                'UPDATE messages SET data = $1, size = $2 WHERE id = $3 AND expires_at > $4',
+                [data, Buffer.byteLength(data), id, Date.now()]
+            );
+            await pool.query('DELETE FROM message_acks WHERE message_id = $1', [id]);
+            return result.rowCount;
+        },
+
+        async getMessage(id) {
+            const { rows } = await pool.query('SELECT * FROM messages WHERE id = $1 AND expires_at > $2', [id, Date.now()]);
+            return rows[0] || null;
+        },
+
+        // Live (unexpired) usage of a mailbox, for quota checks
+        async getMailboxUsage({ toHash, toPeer }) {
+            const { rows } = await pool.query(
+                toHash
+                    ? 'SELECT COUNT(*) AS count, COALESCE(SUM(size), 0) AS bytes FROM messages WHERE to_hash = $1 AND expires_at > $2'
+                    : 'SELECT COUNT(*) AS count, COALESCE(SUM(size), 0) AS bytes FROM messages WHERE to_peer = $1 AND to_hash IS NULL AND expires_at > $2',
+                [toHash || toPeer, Date.now()]
+            );
+            return { count: Number(rows[0].count), bytes: Number(rows[0].bytes) };
+        },
+
+        async deleteMessage(id) {
+            await pool.query('DELETE FROM messages WHERE id = $1', [id]);
+            await pool.query('DELETE FROM message_acks WHERE message_id = $1', [id]);
+        },
+
+        async deleteExpiredMessages(now) {
+            const result = await pool.query('DELETE FROM messages WHERE expires_at <= $1', [now]);
+            await pool.query('DELETE FROM message_acks WHERE message_id NOT IN (SELECT id FROM messages)');
+            return result.rowCount;
+        },
+
+        // Every message addressed to a hash or legacy peerId mailbox
+        async deleteMailboxMessages(mailbox) {
+            const result = await pool.query('DELETE FROM messages WHERE to_hash = $1 OR to_peer = $1', [mailbox]);
+            await pool.query('DELETE FROM message_acks WHERE message_id NOT IN (SELECT id FROM messages)');
+            return result.rowCount;
+        },
+
+        // Queue depth and how many queued messages are at most N seconds old, per bound
+        async getQueueStats(ageBounds) {
+            const now = Date.now();
+            const buckets = ageBounds.map((_, i) => `SUM(CASE WHEN timestamp >= $${i + 2} THEN 1 ELSE 0 END) AS b${i}`);
+            const { rows } = await pool.query(
+                `SELECT COUNT(*) AS depth, MIN(timestamp) AS oldest${buckets.map(b => ', ' + b).join('')}
+                 FROM messages WHERE expires_at > $1`,
+                [now, ...ageBounds.map(seconds => now - seconds * 1000)]
+            );
+            const row = rows[0];
+            return {
+                depth: Number(row.depth),
+                oldestAgeSeconds: row.oldest ? (now - Number(row.oldest)) / 1000 : 0,
+                byAge: ageBounds.map((seconds, i) => ({ le: seconds, count: Number(row[`b${i}`] || 0) }))
+            };
+        },
+
+        async listRecentMessages(limit) {
+            const { rows } = await pool.query(
+                'SELECT id, to_hash, to_peer, size, expires_at, timestamp FROM messages ORDER BY timestamp DESC LIMIT $1', [limit]
+            );
+            return rows;
+        },
+
+        // ---------- Devices & Acks ----------
+
+        async registerDevice({ mailbox, deviceId, timestamp }) {
+            await pool.query(
+                `INSERT INTO devices (mailbox, device_id, registered_at, last_seen) VALUES ($1, $2, $3, $3)
+                 ON CONFLICT (mailbox, device_id) DO UPDATE SET last_seen = EXCLUDED.last_seen`,
+                [mailbox, deviceId, timestamp]
+            );
+        },
+
+        async listDevices(mailbox) {
+            const { rows } = await pool.query(
+                'SELECT device_id, registered_at, last_seen FROM devices WHERE mailbox = $1 ORDER BY registered_at ASC', [mailbox]
+            );
+            return rows;
+        },
+
+        async removeDevice(mailbox, deviceId) {
+            const result = await pool.query('DELETE FROM devices WHERE mailbox = $1 AND device_id = $2', [mailbox, deviceId]);
+            return result.rowCount;
+        },
+
+        // Most recent activity of any device on this mailbox, or null if none registered
+        async getLastSeen(mailbox) {
+            const { rows } = await pool.query('SELECT MAX(last_seen) AS last_seen FROM devices WHERE mailbox = $1', [mailbox]);
+            return rows[0].last_seen === null ? null : Number(rows[0].last_seen);
+        },
+
+        // Returns true when this is the device's first ack for the message
+        async addMessageAck(messageId, deviceId, timestamp) {
+            const result = await pool.query(
+                'INSERT INTO message_acks (message_id, device_id, acked_at) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+                [messageId, deviceId, timestamp]
+            );
+            return result.rowCount > 0;
+        },
+
+        async listMessageAcks(messageId) {
+            const { rows } = await pool.query('SELECT device_id FROM message_acks WHERE message_id = $1', [messageId]);
+            return rows.map(r => r.device_id);
+        },
+
+        // ---------- Groups ----------
+
+        async createGroup({ id, createdBy, timestamp }) {
+            await pool.query('INSERT INTO mailbox_groups (id, created_by, created_at) VALUES ($1, $2, $3)', [id, createdBy, timestamp]);
+        },
+
+        async getGroup(id) {
+            const { rows } = await pool.query('SELECT * FROM mailbox_groups WHERE id = $1', [id]);
+            return rows[0] || null;
+        },
+
+        async deleteGroup(id) {
+            await pool.query('DELETE FROM group_members WHERE group_id = $1', [id]);
+            const result = await pool.query('DELETE FROM mailbox_groups WHERE id = $1', [id]);
+            return result.rowCount;
+        },
+
+        // members: [{ hash, role }]; re-adding an existing member updates its role
+        async addGroupMembers(groupId, members, timestamp) {
+            for (const { hash, role } of members) {
+                await pool.query(
+                    `INSERT INTO group_members (group_id, member_hash, role, added_at) VALUES ($1, $2, $3, $4)
+                     ON CONFLICT (group_id, member_hash) DO UPDATE SET role = EXCLUDED.role`,
+                    [groupId, hash, role, timestamp]
+                );
+            }
+        },
+
+        async removeGroupMember(groupId, hash) {
+            const result = await pool.query('DELETE FROM group_members WHERE group_id = $1 AND member_hash = $2', [groupId, hash]);
+            return result.rowCount;
+        },
+
+        async listGroupMembers(groupId) {
+            const { rows } = await pool.query(
+                'SELECT member_hash, role, added_at FROM group_members WHERE group_id = $1 ORDER BY added_at ASC', [groupId]
+            );
+            return rows;
+        },
+
+        // ---------- Attachments ----------
+
+        async createAttachment({ id, size, tokenHash, owner = null, expiresAt, timestamp }) {
+            await pool.query(
+                'INSERT INTO attachments (id, size, received, token_hash, owner, expires_at, timestamp) VALUES ($1, $2, 0, $3, $4, $5, $6)',
+                [id, size, tokenHash, owner, expiresAt, timestamp]
+            );
+        },
+
+        // Declared bytes of unexpired attachments: this owner's, and everyone's
+        async getAttachmentUsage(owner) {
+            const { rows } = await pool.query(
+                `SELECT COALESCE(SUM(CASE WHEN owner = $1 THEN size ELSE 0 END), 0) AS bytes,
+                        COALESCE(SUM(size), 0) AS total_bytes
+                 FROM attachments WHERE expires_at > $2`,
+                [owner, Date.now()]
+            );
+            return { bytes: Number(rows[0].bytes), totalBytes: Number(rows[0].total_bytes) };
+        },
+
+        async getAttachment(id) {
+            const { rows } = await pool.query('SELECT * FROM attachments WHERE id = $1 AND expires_at > $2', [id, Date.now()]);
+            return rows[0] || null;
+        },
+
+        // Moves the upload offset only if nobody else did first; returns false on a lost race
+        async advanceAttachment(id, from, to) {
+            const result = await pool.query('UPDATE attachments SET received = $1 WHERE id = $2 AND received = $3', [to, id, from]);
+            return result.rowCount > 0;
+        },
+
+        async deleteAttachment(id) {
+            await pool.query('DELETE FROM attachment_chunks WHERE attachment_id = $1', [id]);
+            const result = await pool.query('DELETE FROM attachments WHERE id = $1', [id]);
+            return result.rowCount;
+        },
+
+        async listExpiredAttachments(now) {
+            const { rows } = await pool.query('SELECT id FROM attachments WHERE expires_at <= $1', [now]);
+            return rows.map(r => r.id);
+        },
+
+        async saveAttachmentChunk(id, offset, data) {
+            await pool.query(
+                'INSERT INTO attachment_chunks (attachment_id, chunk_offset, size, data) VALUES ($1, $2, $3, $4)',
+                [id, offset, data.length, data]
+            );
+        },
+
+        async listAttachmentChunks(id) {
+            const { rows } = await pool.query(
+                'SELECT chunk_offset, size FROM attachment_chunks WHERE attachment_id = $1 ORDER BY chunk_offset ASC', [id]
+            );
+            return rows.map(r => ({ offset: Number(r.chunk_offset), size: r.size }));
+        },
+
+        async getAttachmentChunk(id, offset) {
+            const { rows } = await pool.query(
+                'SELECT data FROM attachment_chunks WHERE attachment_id = $1 AND chunk_offset = $2', [id, offset]
+            );
+            return rows[0] ? rows[0].data : null;
+        },
+
+        // ---------- Push Endpoints ----------
+
+        // Re-registering the same target keeps its id and clears its failure count
+        async savePushEndpoint({ id, mailbox, adapter, target, keys, timestamp }) {
+            const { rows } = await pool.query(
+                `INSERT INTO push_endpoints (id, mailbox, adapter, target, keys, failures, created_at) VALUES ($1, $2, $3, $4, $5, 0, $6)
+                 ON CONFLICT (mailbox, target) DO UPDATE SET adapter = EXCLUDED.adapter, keys = EXCLUDED.keys, failures = 0
+                 RETURNING id`,
+                [id, mailbox, adapter, target, keys, timestamp]
+            );
+            return rows[0].id;
+        },
+
+        async listPushEndpoints(mailbox) {
+            const { rows } = await pool.query('SELECT * FROM push_endpoints WHERE mailbox = $1 ORDER BY created_at ASC', [mailbox]);
+            return rows;
+        },
+
+        async deletePushEndpoint(id) {
+            const result = await pool.query('DELETE FROM push_endpoints WHERE id = $1', [id]);
+            return result.rowCount;
+        },
+
+        async recordPushSuccess(id, timestamp) {
+            await pool.query('UPDATE push_endpoints SET failures = 0, last_success = $1 WHERE id = $2', [timestamp, id]);
+        },
+
+        // Returns the endpoint's consecutive failure count
+        async recordPushFailure(id) {
+            const { rows } = await pool.query('UPDATE push_endpoints SET failures = failures + 1 WHERE id = $1 RETURNING failures', [id]);
+            return rows[0] ? rows[0].failures : 0;
+        },
+
+        // One wake-up per mailbox per cooldown, across instances: true when
+        // this caller got the slot (no wake-up since `cutoff`)
+        async claimPushWake(mailbox, now, cutoff) {
+            const result = await pool.query(
+                `INSERT INTO push_wakes (mailbox, last_wake) VALUES ($1, $2)
+                 ON CONFLICT (mailbox) DO UPDATE SET last_wake = EXCLUDED.last_wake WHERE push_wakes.last_wake <= $3`,
+                [mailbox, now, cutoff]
+            );
+            return result.rowCount > 0;
+        },
+
+        async deletePushWakesBefore(cutoff) {
+            const result = await pool.query('DELETE FROM push_wakes WHERE last_wake <= $1', [cutoff]);
+            return result.rowCount;
+        },
+
+        // ---------- Federation Outbox ----------
+
+        // Returns false if this message is already queued for that relay
+        async enqueueFederation({ messageId, domain, payload, expiresAt, timestamp }) {
+            const result = await pool.query(
+                `INSERT INTO federation_outbox (message_id, domain, payload, attempts, next_attempt_at, expires_at, timestamp)
+                 VALUES ($1, $2, $3, 0, $4, $5, $4) ON CONFLICT (message_id, domain) DO NOTHING`,
+                [messageId, domain, payload, timestamp, expiresAt]
+            );
+            return result.rowCount > 0;
+        },
+
+        async listDueFederation(now, limit) {
+            const { rows } = await pool.query(
+                'SELECT * FROM federation_outbox WHERE next_attempt_at <= $1 AND expires_at > $1 ORDER BY next_attempt_at ASC LIMIT $2',
+                [now, limit]
+            );
+            return rows;
+        },
+
+        async rescheduleFederation(messageId, domain, attempts, nextAttemptAt, lastError) {
+            await pool.query(
+                'UPDATE federation_outbox SET attempts = $1, next_attempt_at = $2, last_error = $3 WHERE message_id = $4 AND domain = $5',
+                [attempts, nextAttemptAt, lastError, messageId, domain]
+            );
+        },
+
+        async deleteFederation(messageId, domain) {
+            await pool.query('DELETE FROM federation_outbox WHERE message_id = $1 AND domain = $2', [messageId, domain]);
+        },
+
+        async deleteExpiredFederation(now) {
+            const result = await pool.query('DELETE FROM federation_outbox WHERE expires_at <= $1', [now]);
+            return result.rowCount;
+        },
+
+        // ---------- Mailbox Auth ----------
+
+        async saveChallenge({ nonce, hash, expiresAt }) {
+            await pool.query('INSERT INTO auth_challenges (nonce, hash, expires_at) VALUES ($1, $2, $3)', [nonce, hash, expiresAt]);
+        },
+
+        // Single use: the first caller gets the row, everyone after gets null
+        async takeChallenge(nonce) {
+            const { rows } = await pool.query('DELETE FROM auth_challenges WHERE nonce = $1 RETURNING hash, expires_at', [nonce]);
+            return rows[0] || null;
+        },
+
+        // Unexpired challenges across all hashes
+        async countChallenges(now) {
+            const { rows } = await pool.query('SELECT COUNT(*) AS count FROM auth_challenges WHERE expires_at > $1', [now]);
+            return Number(rows[0].count);
+        },
+
+        // Drop all but the newest `keep` challenges of one hash
+        async trimChallenges(hash, keep) {
+            const result = await pool.query(
+                `DELETE FROM auth_challenges WHERE hash = $1 AND nonce NOT IN
+                    (SELECT nonce FROM auth_challenges WHERE hash = $1 ORDER BY expires_at DESC LIMIT $2)`,
+                [hash, keep]
+            );
+            return result.rowCount;
+        },
+
+        async deleteExpiredChallenges(now) {
+            const result = await pool.query('DELETE FROM auth_challenges WHERE expires_at <= $1', [now]);
+            return result.rowCount;
+        },
+
+        // The stored value for `name`, or `value` if this call stored it first
+        async ensureSecret(name, value) {
+            await pool.query('INSERT INTO relay_secrets (name, value) VALUES ($1, $2) ON CONFLICT (name) DO NOTHING', [name, value]);
+            const { rows } = await pool.query('SELECT value FROM relay_secrets WHERE name = $1', [name]);
+            return rows[0].value;
+        },
+
+        // ---------- Identities ----------
+
+        async getIdentity(username) {
+            const { rows } = await pool.query(
+                'SELECT username, encrypted_blob, blob_version, peer_id, display_name, public_key, presence_visibility, timestamp FROM identities WHERE username = $1', [username]
+            );
+            return rows[0] || null;
+        },
+
+        // Every identity whose hash starts with one of `prefixes` (all of length `length`)
+        async listIdentitiesByPrefixes(prefixes, length) {
+            const { rows } = await pool.query(
+                'SELECT username, peer_id, display_name FROM identities WHERE substr(username, 1, $1) = ANY($2)', [length, prefixes]
+            );
+            return rows;
+        },
+
+        async getIdentityByPeerId(peerId) {
+            const { rows } = await pool.query(
+                'SELECT username, encrypted_blob, blob_version, peer_id, display_name, public_key, presence_visibility, timestamp FROM identities WHERE peer_id = $1 LIMIT 1', [peerId]
+            );
+            return rows[0] || null;
+        },
+
+        // blobVersion is stored with the blob. expectedVersion makes the write a
+        // compare-and-set: 0 = identity must not exist yet, n = blob_version must
+        // still be n. Returns false when the condition no longer holds.
+        async saveIdentity({ username, blob, peerId, displayName, publicKey, timestamp, blobVersion = 1, expectedVersion = null }) {
+            const params = [username, blob, peerId, displayName, publicKey || null, timestamp, blobVersion];
+            if (expectedVersion === 0) {
+                const result = await pool.query(
+                    `INSERT INTO identities (username, encrypted_blob, peer_id, display_name, public_key, timestamp, blob_version)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7) ON CONFLICT (username) DO NOTHING`,
+                    params
+                );
+                return result.rowCount > 0;
+            }
+            if (expectedVersion !== null) {
+                const result = await pool.query(
+                    `UPDATE identities SET encrypted_blob = $2, peer_id = $3, display_name = $4, public_key = $5,
+                        timestamp = $6, blob_version = $7
+                     WHERE username = $1 AND blob_version = $8`,
+                    [...params, expectedVersion]
+                );
+                return result.rowCount > 0;
+            }
+            await pool.query(
+                `INSERT INTO identities (username, encrypted_blob, peer_id, display_name, public_key, timestamp, blob_version) 
+                 VALUES ($1, $2, $3, $4, $5, $6, $7) 
+                 ON CONFLICT (username) DO UPDATE SET 
+                    encrypted_blob = EXCLUDED.encrypted_blob,
+                    peer_id = EXCLUDED.peer_id,
+                    display_name = EXCLUDED.display_name,
+                    public_key = EXCLUDED.public_key,
+                    timestamp = EXCLUDED.timestamp,
+                    blob_version = EXCLUDED.blob_version`,
+                params
+            );
+            return true;
+        },
+
+        // authenticated: written with a mailbox session or the owner's signature
+        async addIdentityBackup({ username, version, blob, timestamp, authenticated = false }) {
+            await pool.query(
+                `INSERT INTO identity_backups (username, version, encrypted_blob, timestamp, authenticated)
+                 VALUES ($1, $2, $3, $4, $5) ON CONFLICT DO NOTHING`,
+                [username, version, blob, timestamp, authenticated ? 1 : 0]
+            );
+        },
+
+        // Newest first, without the blobs
+        async listIdentityBackups(username) {
+            const { rows } = await pool.query(
+                'SELECT version, LENGTH(encrypted_blob) AS size, timestamp, authenticated FROM identity_backups WHERE username = $1 ORDER BY version DESC',
+                [username]
+            );
+            return rows;
+        },
+
+        async getIdentityBackup(username, version) {
+            const { rows } = await pool.query(
+                'SELECT version, encrypted_blob, timestamp FROM identity_backups WHERE username = $1 AND version = $2',
+                [username, version]
+            );
+            return rows[0] || null;
+        },
+
+        // Keep the newest `keep` versions, and always the newest authenticated one
+        async pruneIdentityBackups(username, keep) {
+            const result = await pool.query(
+                `DELETE FROM identity_backups WHERE username = $1
+                 AND version <= (SELECT MAX(version) FROM identity_backups WHERE username = $1) - $2
+                 AND version <> COALESCE((SELECT MAX(version) FROM identity_backups WHERE username = $1 AND authenticated = 1), 0)`,
+                [username, keep]
+            );
+            return result.rowCount;
+        },
+
+        // peerid_history is append-only and outlives the identity
+        async deleteIdentity(username) {
+            await pool.query('DELETE FROM identity_backups WHERE username = $1', [username]);
+            const result = await pool.query('DELETE FROM identities WHERE username = $1', [username]);
+            return result.rowCount;
+        },
+
+        async setPresenceVisibility(username, visibility) {
+            const result = await pool.query('UPDATE identities SET presence_visibility = $1 WHERE username = $2', [visibility, username]);
+            return result.rowCount;
+        },
+
+        async listIdentities() {
+            const { rows } = await pool.query(
+                'SELECT username, peer_id, display_name, timestamp FROM identities'
+            );
+            return rows;
+        },
+
+        // ---------- PeerId History ----------
+
+        // Returns false when another writer already took this seq
+        async addPeerIdHistory({ usernameHash, displayName, oldPeerId, newPeerId, publicKey, source, timestamp, seq, prevHash, entryHash }) {
+            const result = await pool.query(
+                `INSERT INTO peerid_history (username_hash, display_name, old_peer_id, new_peer_id, public_key, source, timestamp, seq, prev_hash, entry_hash)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) ON CONFLICT (username_hash, seq) DO NOTHING`,
+                [usernameHash, displayName, oldPeerId, newPeerId, publicKey, source, timestamp, seq, prevHash, entryHash]
+            );
+            return result.rowCount > 0;
+        },
+
+        async getPeerIdHistoryHead(username) {
+            const { rows } = await pool.query(
+                'SELECT * FROM peerid_history WHERE username_hash = $1 ORDER BY seq DESC LIMIT 1', [username]
+            );
+            return rows[0] || null;
+        },
+
+        async listIdentityHistory(username) {
+            const { rows } = await pool.query(
+                'SELECT * FROM peerid_history WHERE username_hash = $1 ORDER BY seq ASC', [username]
+            );
+            return rows;
+        },
+
+        async listPeerIdHistory(limit) {
+            const { rows } = await pool.query(
+                'SELECT * FROM peerid_history ORDER BY timestamp DESC LIMIT $1', [limit]
+            );
+            return rows;
+        },
+
+        // ---------- Admin Audit ----------
+
+        async addAuditEntry({ action, target, actor, detail, timestamp }) {
+            await pool.query(
+                'INSERT INTO admin_audit (action, target, actor, detail, timestamp) VALUES ($1, $2, $3, $4, $5)',
+                [action, target, actor, detail, timestamp]
+            );
+        },
+
+        async listAuditEntries(limit) {
+            const { rows } = await pool.query('SELECT * FROM admin_audit ORDER BY id DESC LIMIT $1', [limit]);
+            return rows;
+        }
+    };
+}
+
+module.exports = { createPostgresStorage };
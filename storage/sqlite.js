@@ -0,0 +1,580 @@
+const sqlite3 = require('sqlite3');
+const { runMigrations } = require('./migrate');
+
+// =============================================
+// STORAGE BACKEND — SQLite (single node / local dev / tests)
+// =============================================
+function createSqliteStorage(options = {}) {
+    const filename = options.filename || process.env.SQLITE_FILE || ':memory:';
+    const db = new sqlite3.Database(filename);
+
+    // Promise wrappers around the sqlite3 callback API
+    const run = (sql, params = []) => new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+            if (err) return reject(err);
+            resolve({ changes: this.changes, lastID: this.lastID });
+        });
+    });
+    const all = (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+    const get = (sql, params = []) => new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row || null)));
+    });
+
+    function migrate({ dryRun = false, log } = {}) {
+        return runMigrations({
+            dialect: 'sqlite',
+            exec: run,
+            all,
+            hasTable: async (name) => !!(await get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [name])),
+            hasColumn: async (table, column) => (await all(`PRAGMA table_info(${table})`)).some(c => c.name === column),
+            transaction: async (fn) => {
+                await run('BEGIN');
+                try {
+                    await fn();
+                    await run('COMMIT');
+                } catch (err) {
+                    await run('ROLLBACK');
+                    throw err;
+                }
+            },
+            placeholder: () => '?'
+        }, { dryRun, log });
+    }
+
+    return {
+        name: 'sqlite',
+        db,
+
+        // Apply pending migrations on startup (AUTO_MIGRATE=false: refuse to start instead)
+        async init({ autoMigrate = process.env.AUTO_MIGRATE !== 'false' } = {}) {
+            await run('PRAGMA journal_mode = WAL');
+            const result = await migrate({ dryRun: !autoMigrate, log: autoMigrate ? console.log : () => {} });
+            if (result.pending.length > 0) {
+                throw new Error(`Schema at version ${result.from}, migrations ${result.pending.join(', ')} pending: run npm run migrate`);
+            }
+            console.log(`✅ SQLite schema ready (version ${result.to}, ${filename})`);
+        },
+
+        migrate,
+
+        async ping() {
+            await get('SELECT 1');
+        },
+
+        close() {
+            return new Promise((resolve, reject) => {
+                db.close(err => (err ? reject(err) : resolve()));
+            });
+        },
+
+        // ---------- Messages ----------
+
+        // False when a message with this id already exists
+        async saveMessage({ id, toHash, toPeer, data, kind = 'message', receiptTo = null, groupId = null, senderTokenHash = null, expiresAt, timestamp }) {
+            const result = await run(
+                'INSERT INTO messages (id, to_hash, to_peer, data, kind, receipt_to, group_id, sender_token_hash, size, expires_at, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) ON CONFLICT (id) DO NOTHING',
+                [id, toHash, toPeer, data, kind, receiptTo, groupId, senderTokenHash, Buffer.byteLength(data), expiresAt, timestamp]
+            );
+            return result.changes > 0;
+        },
+
+        // Expired rows are never returned, even before the sweep removes them.
+        // deviceId: only messages that device has not acked yet
+        async getMessagesByHash(hash, { deviceId = null } = {}) {
+            return all(
+                `SELECT * FROM messages m WHERE m.to_hash = ? AND m.expires_at > ?
+                 AND (? IS NULL OR NOT EXISTS (SELECT 1 FROM message_acks a WHERE a.message_id = m.id AND a.device_id = ?))
+                 ORDER BY m.timestamp ASC`, [hash, Date.now(), deviceId, deviceId]
+            );
+        },
+
+        // legacyOnly: skip messages that are also addressed to a hash
+        async getMessagesByPeer(peerId, { legacyOnly = false, deviceId = null } = {}) {
+            return all(
+                `SELECT * FROM messages m WHERE m.to_peer = ? AND m.expires_at > ? ${legacyOnly ? 'AND m.to_hash IS NULL' : ''}
+                 AND (? IS NULL OR NOT EXISTS (SELECT 1 FROM message_acks a WHERE a.message_id = m.id AND a.device_id = ?))
+                 ORDER BY m.timestamp ASC`, [peerId, Date.now(), deviceId, deviceId]
+            );
+        },
+
+        // The message itself, or every member copy of a group send ("<id>:<memberHash>")
+        async listSentCopies(id) {
+            return all(
+                `SELECT * FROM messages WHERE expires_at > ?
+                 AND (id = ? OR (group_id IS NOT NULL AND substr(id, 1, ?) = ?))`,
+                [Date.now(), id, id.length + 1, `${id}:`]
+            );
+        },
+
+        // New ciphertext under the same id; acks are reset so every device gets it
+        async replaceMessageData(id, data) {
+            const result = await run(
+                'UPDATE messages SET data = ?, size = ? WHERE id = ? AND expires_at > ?',
+                [data, Buffer.byteLength(data), id, Date.now()]
+            );
+            await run('DELETE FROM message_acks WHERE message_id = ?', [id]);
+            return result.changes;
+        },
+
+        async getMessage(id) {
+            return get('SELECT * FROM messages WHERE id = ? AND expires_at > ?', [id, Date.now()]);
+        },
+
+        // Live (unexpired) usage of a mailbox, for quota checks
+        async getMailboxUsage({ toHash, toPeer }) {
+            const row = await get(
+                toHash
+                    ? 'SELECT COUNT(*) AS count, COALESCE(SUM(size), 0) AS bytes FROM messages WHERE to_hash = ? AND expires_at > ?'
+                    : 'SELECT COUNT(*) AS count, COALESCE(SUM(size), 0) AS bytes FROM messages WHERE to_peer = ? AND to_hash IS NULL AND expires_at > ?',
+                [toHash || toPeer, Date.now()]
+            );
+            return { count: Number(row.count), bytes: Number(row.bytes) };
+        },
+
+        async deleteMessage(id) {
+            await run('DELETE FROM messages WHERE id = ?', [id]);
+            await run('DELETE FROM message_acks WHERE message_id = ?', [id]);
+        },
+
+        async deleteExpiredMessages(now) {
+            const result = await run('DELETE FROM messages WHERE expires_at <= ?', [now]);
+            await run('DELETE FROM message_acks WHERE message_id NOT IN (SELECT id FROM messages)');
+            return result.changes;
+        },
+
+        // Every message addressed to a hash or legacy peerId mailbox
+        async deleteMailboxMessages(mailbox) {
+            const result = await run('DELETE FROM messages WHERE to_hash = ? OR to_peer = ?', [mailbox, mailbox]);
+            await run('DELETE FROM message_acks WHERE message_id NOT IN (SELECT id FROM messages)');
+            return result.changes;
+        },
+
+        // Queue depth and how many queued messages are at most N seconds old, per bound
+        async getQueueStats(ageBounds) {
+            const now = Date.now();
+            const buckets = ageBounds.map((_, i) => `SUM(CASE WHEN timestamp >= ? THEN 1 ELSE 0 END) AS b${i}`);
+            const row = await get(
+                `SELECT COUNT(*) AS depth, MIN(timestamp) AS oldest${buckets.map(b => ', ' + b).join('')}
+                 FROM messages WHERE expires_at > ?`,
+                [...ageBounds.map(seconds => now - seconds * 1000), now]
+            );
+            return {
+                depth: Number(row.depth),
+                oldestAgeSeconds: row.oldest ? (now - Number(row.oldest)) / 1000 : 0,
+                byAge: ageBounds.map((seconds, i) => ({ le: seconds, count: Number(row[`b${i}`] || 0) }))
+            };
+        },
+
+        async listRecentMessages(limit) {
+            return all('SELECT id, to_hash, to_peer, size, expires_at, timestamp FROM messages ORDER BY timestamp DESC LIMIT ?', [limit]);
+        },
+
+        // ---------- Devices & Acks ----------
+
+        async registerDevice({ mailbox, deviceId, timestamp }) {
+            await run(
+                `INSERT INTO devices (mailbox, device_id, registered_at, last_seen) VALUES (?, ?, ?, ?)
+                 ON CONFLICT (mailbox, device_id) DO UPDATE SET last_seen = excluded.last_seen`,
+                [mailbox, deviceId, timestamp, timestamp]
+            );
+        },
+
+        async listDevices(mailbox) {
+            return all('SELECT device_id, registered_at, last_seen FROM devices WHERE mailbox = ? ORDER BY registered_at ASC', [mailbox]);
+        },
+
+        async removeDevice(mailbox, deviceId) {
+            const result = await run('DELETE FROM devices WHERE mailbox = ? AND device_id = ?', [mailbox, deviceId]);
+            return result.changes;
+        },
+
+        // Most recent activity of any device on this mailbox, or null if none registered
+        async getLastSeen(mailbox) {
+            const row = await get('SELECT MAX(last_seen) AS last_seen FROM devices WHERE mailbox = ?', [mailbox]);
+            return row.last_seen === null ? null : Number(row.last_seen);
+        },
+
+        // Returns true when this is the device's first ack for the message
+        async addMessageAck(messageId, deviceId, timestamp) {
+            const result = await run(
+                'INSERT INTO message_acks (message_id, device_id, acked_at) VALUES (?, ?, ?) ON CONFLICT DO NOTHING',
+                [messageId, deviceId, timestamp]
+            );
+            return result.changes > 0;
+        },
+
+        async listMessageAcks(messageId) {
+            const rows = await all('SELECT device_id FROM message_acks WHERE message_id = ?', [messageId]);
+            return rows.map(r => r.device_id);
+        },
+
+        // ---------- Groups ----------
+
+        async createGroup({ id, createdBy, timestamp }) {
+            await run('INSERT INTO mailbox_groups (id, created_by, created_at) VALUES (?, ?, ?)', [id, createdBy, timestamp]);
+        },
+
+        async getGroup(id) {
+            return get('SELECT * FROM mailbox_groups WHERE id = ?', [id]);
+        },
+
+        async deleteGroup(id) {
+            await run('DELETE FROM group_members WHERE group_id = ?', [id]);
+            const result = await run('DELETE FROM mailbox_groups WHERE id = ?', [id]);
+            return result.changes;
+        },
+
+        // members: [{ hash, role }]; re-adding an existing member updates its role
+        async addGroupMembers(groupId, members, timestamp) {
+            for (const { hash, role } of members) {
+                await run(
+                    `INSERT INTO group_members (group_id, member_hash, role, added_at) VALUES (?, ?, ?, ?)
+                     ON CONFLICT (group_id, member_hash) DO UPDATE SET role = excluded.role`,
+                    [groupId, hash, role, timestamp]
+                );
+            }
+        },
+
+        async removeGroupMember(groupId, hash) {
+            const result = await run('DELETE FROM group_members WHERE group_id = ? AND member_hash = ?', [groupId, hash]);
+            return result.changes;
+        },
+
+        async listGroupMembers(groupId) {
+            return all('SELECT member_hash, role, added_at FROM group_members WHERE group_id = ? ORDER BY added_at ASC', [groupId]);
+        },
+
+        // ---------- Attachments ----------
+
+        async createAttachment({ id, size, tokenHash, owner = null, expiresAt, timestamp }) {
+            await run(
+                'INSERT INTO attachments (id, size, received, token_hash, owner, expires_at, timestamp) VALUES (?, ?, 0, ?, ?, ?, ?)',
+                [id, size, tokenHash, owner, expiresAt, timestamp]
+            );
+        },
+
+        // Declared bytes of unexpired attachments: this owner's, and everyone's
+        async getAttachmentUsage(owner) {
+            const row = await get(
+                `SELECT COALESCE(SUM(CASE WHEN owner = ? THEN size ELSE 0 END), 0) AS bytes,
+                        COALESCE(SUM(size), 0) AS total_bytes
+                 FROM attachments WHERE expires_at > ?`,
+                [owner, Date.now()]
+            );
+            return { bytes: Number(row.bytes), totalBytes: Number(row.total_bytes) };
+        },
+
+        async getAttachment(id) {
+            return get('SELECT * FROM attachments WHERE id = ? AND expires_at > ?', [id, Date.now()]);
+        },
+
+        // Moves the upload offset only if nobody else did first; returns false on a lost race
+        async advanceAttachment(id, from, to) {
+            const result = await run('UPDATE attachments SET received = ? WHERE id = ? AND received = ?', [to, id, from]);
+            return result.changes > 0;
+        },
+
+        async deleteAttachment(id) {
+            await run('DELETE FROM attachment_chunks WHERE attachment_id = ?', [id]);
+            const result = await run('DELETE FROM attachments WHERE id = ?', [id]);
+            return result.changes;
+        },
+
+        async listExpiredAttachments(now) {
+            const rows = await all('SELECT id FROM attachments WHERE expires_at <= ?', [now]);
+            return rows.map(r => r.id);
+        },
+
+        async saveAttachmentChunk(id, offset, data) {
+            await run(
+                'INSERT INTO attachment_chunks (attachment_id, chunk_offset, size, data) VALUES (?, ?, ?, ?)',
+                [id, offset, data.length, data]
+            );
+        },
+
+        async listAttachmentChunks(id) {
+            const rows = await all('SELECT chunk_offset, size FROM attachment_chunks WHERE attachment_id = ? ORDER BY chunk_offset ASC', [id]);
+            return rows.map(r => ({ offset: Number(r.chunk_offset), size: r.size }));
+        },
+
+        async getAttachmentChunk(id, offset) {
+            const row = await get('SELECT data FROM attachment_chunks WHERE attachment_id = ? AND chunk_offset = ?', [id, offset]);
+            return row ? row.data : null;
+        },
+
+        // ---------- Push Endpoints ----------
+
+        // Re-registering the same target keeps its id and clears its failure count
+        async savePushEndpoint({ id, mailbox, adapter, target, keys, timestamp }) {
+            const row = await get(
+                `INSERT INTO push_endpoints (id, mailbox, adapter, target, keys, failures, created_at) VALUES (?, ?, ?, ?, ?, 0, ?)
+                 ON CONFLICT (mailbox, target) DO UPDATE SET adapter = excluded.adapter, keys = excluded.keys, failures = 0
+                 RETURNING id`,
+                [id, mailbox, adapter, target, keys, timestamp]
+            );
+            return row.id;
+        },
+
+        async listPushEndpoints(mailbox) {
+            return all('SELECT * FROM push_endpoints WHERE mailbox = ? ORDER BY created_at ASC', [mailbox]);
+        },
+
+        async deletePushEndpoint(id) {
+            const result = await run('DELETE FROM push_endpoints WHERE id = ?', [id]);
+            return result.changes;
+        },
+
+        async recordPushSuccess(id, timestamp) {
+            await run('UPDATE push_endpoints SET failures = 0, last_success = ? WHERE id = ?', [timestamp, id]);
+        },
+
+        // Returns the endpoint's consecutive failure count
+        async recordPushFailure(id) {
+            const row = await get('UPDATE push_endpoints SET failures = failures + 1 WHERE id = ? RETURNING failures', [id]);
+            return row ? row.failures : 0;
+        },
+
+        // One wake-up per mailbox per cooldown, across instances: true when
+        // this caller got the slot (no wake-up since `cutoff`)
+        async claimPushWake(mailbox, now, cutoff) {
+            const result = await run(
+                `INSERT INTO push_wakes (mailbox, last_wake) VALUES (?, ?)
+                 ON CONFLICT (mailbox) DO UPDATE SET last_wake = excluded.last_wake WHERE push_wakes.last_wake <= ?`,
+                [mailbox, now, cutoff]
+            );
+            return result.changes > 0;
+        },
+
+        async deletePushWakesBefore(cutoff) {
+            const result = await run('DELETE FROM push_wakes WHERE last_wake <= ?', [cutoff]);
+            return result.changes;
+        },
+
+        // ---------- Federation Outbox ----------
+
+        // Returns false if this message is already queued for that relay
+        async enqueueFederation({ messageId, domain, payload, expiresAt, timestamp }) {
+            const result = await run(
+                `INSERT INTO federation_outbox (message_id, domain, payload, attempts, next_attempt_at, expires_at, timestamp)
+                 VALUES (?, ?, ?, 0, ?, ?, ?) ON CONFLICT (message_id, domain) DO NOTHING`,
+                [messageId, domain, payload, timestamp, expiresAt, timestamp]
+            );
+            return result.changes > 0;
+        },
+
+        async listDueFederation(now, limit) {
+            return all(
+                'SELECT * FROM federation_outbox WHERE next_attempt_at <= ? AND expires_at > ? ORDER BY next_attempt_at ASC LIMIT ?',
+                [now, now, limit]
+            );
+        },
+
+        async rescheduleFederation(messageId, domain, attempts, nextAttemptAt, lastError) {
+            await run(
+                'UPDATE federation_outbox SET attempts = ?, next_attempt_at = ?, last_error = ? WHERE message_id = ? AND domain = ?',
+                [attempts, nextAttemptAt, lastError, messageId, domain]
+            );
+        },
+
+        async deleteFederation(messageId, domain) {
+            await run('DELETE FROM federation_outbox WHERE message_id = ? AND domain = ?', [messageId, domain]);
+        },
+
+        async deleteExpiredFederation(now) {
+            const result = await run('DELETE FROM federation_outbox WHERE expires_at <= ?', [now]);
+            return result.changes;
+        },
+
+        // ---------- Mailbox Auth ----------
+
+        async saveChallenge({ nonce, hash, expiresAt }) {
+            await run('INSERT INTO auth_challenges (nonce, hash, expires_at) VALUES (?, ?, ?)', [nonce, hash, expiresAt]);
+        },
+
+        // Single use: the first caller gets the row, everyone after gets null
+        async takeChallenge(nonce) {
+            const row = await get('DELETE FROM auth_challenges WHERE nonce = ? RETURNING hash, expires_at', [nonce]);
+            return row || null;
+        },
+
+        // Unexpired challenges across all hashes
+        async countChallenges(now) {
+            const row = await get('SELECT COUNT(*) AS count FROM auth_challenges WHERE expires_at > ?', [now]);
+            return row.count;
+        },
+
+        // Drop all but the newest `keep` challenges of one hash
+        async trimChallenges(hash, keep) {
+            const result = await run(
+                `DELETE FROM auth_challenges WHERE hash = ? AND nonce NOT IN
+                    (SELECT nonce FROM auth_challenges WHERE hash = ? ORDER BY expires_at DESC LIMIT ?)`,
+                [hash, hash, keep]
+            );
+            return result.changes;
+        },
+
+        async deleteExpiredChallenges(now) {
+            const result = await run('DELETE FROM auth_challenges WHERE expires_at <= ?', [now]);
+            return result.changes;
+        },
+
+        // The stored value for `name`, or `value` if this call stored it first
+        async ensureSecret(name, value) {
+            await run('INSERT INTO relay_secrets (name, value) VALUES (?, ?) ON CONFLICT (name) DO NOTHING', [name, value]);
+            const row = await get('SELECT value FROM relay_secrets WHERE name = ?', [name]);
+            return row.value;
+        },
+
+        // ---------- Identities ----------
+
+        async getIdentity(username) {
+            return get(
+                'SELECT username, encrypted_blob, blob_version, peer_id, display_name, public_key, presence_visibility, timestamp FROM identities WHERE username = ?', [username]
+            );
+        },
+
+        // Every identity whose hash starts with one of `prefixes` (all of length `length`)
+        async listIdentitiesByPrefixes(prefixes, length) {
+            if (prefixes.length === 0) return [];
+            return all(
+                `SELECT username, peer_id, display_name FROM identities WHERE substr(username, 1, ?) IN (${prefixes.map(() => '?').join(', ')})`,
+                [length, ...prefixes]
+            );
+        },
+
+        async getIdentityByPeerId(peerId) {
+            return get(
+                'SELECT username, encrypted_blob, blob_version, peer_id, display_name, public_key, presence_visibility, timestamp FROM identities WHERE peer_id = ? LIMIT 1', [peerId]
+            );
+        },
+
+        // blobVersion is stored with the blob. expectedVersion makes the write a
+        // compare-and-set: 0 = identity must not exist yet, n = blob_version must
+        // still be n. Returns false when the condition no longer holds.
+        async saveIdentity({ username, blob, peerId, displayName, publicKey, timestamp, blobVersion = 1, expectedVersion = null }) {
+            const params = [username, blob, peerId, displayName, publicKey || null, timestamp, blobVersion];
+            if (expectedVersion === 0) {
+                const result = await run(
+                    `INSERT INTO identities (username, encrypted_blob, peer_id, display_name, public_key, timestamp, blob_version)
+                     VALUES (?, ?, ?, ?, ?, ?, ?) ON CONFLICT (username) DO NOTHING`,
+                    params
+                );
+                return result.changes > 0;
+            }
+            if (expectedVersion !== null) {
+                const result = await run(
+                    `UPDATE identities SET encrypted_blob = ?, peer_id = ?, display_name = ?, public_key = ?,
+                        timestamp = ?, blob_version = ?
+                     WHERE username = ? AND blob_version = ?`,
+                    [...params.slice(1), username, expectedVersion]
+                );
+                return result.changes > 0;
+            }
+            await run(
+                `INSERT INTO identities (username, encrypted_blob, peer_id, display_name, public_key, timestamp, blob_version) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?) 
+                 ON CONFLICT (username) DO UPDATE SET 
+                    encrypted_blob = excluded.encrypted_blob,
+                    peer_id = excluded.peer_id,
+                    display_name = excluded.display_name,
+                    public_key = excluded.public_key,
+                    timestamp = excluded.timestamp,
+                    blob_version = excluded.blob_version`,
+                params
+            );
+            return true;
+        },
+
+        // authenticated: written with a mailbox session or the owner's signature
+        async addIdentityBackup({ username, version, blob, timestamp, authenticated = false }) {
+            await run(
+                `INSERT INTO identity_backups (username, version, encrypted_blob, timestamp, authenticated)
+                 VALUES (?, ?, ?, ?, ?) ON CONFLICT DO NOTHING`,
+                [username, version, blob, timestamp, authenticated ? 1 : 0]
+            );
+        },
+
+        // Newest first, without the blobs
+        async listIdentityBackups(username) {
+            return all(
+                'SELECT version, LENGTH(encrypted_blob) AS size, timestamp, authenticated FROM identity_backups WHERE username = ? ORDER BY version DESC',
+                [username]
+            );
+        },
+
+        async getIdentityBackup(username, version) {
+            return get(
+                'SELECT version, encrypted_blob, timestamp FROM identity_backups WHERE username = ? AND version = ?',
+                [username, version]
+            );
+        },
+
+        // Keep the newest `keep` versions, and always the newest authenticated one
+        async pruneIdentityBackups(username, keep) {
+            const result = await run(
+                `DELETE FROM identity_backups WHERE username = ?
+                 AND version <= (SELECT MAX(version) FROM identity_backups WHERE username = ?) - ?
+                 AND version <> COALESCE((SELECT MAX(version) FROM identity_backups WHERE username = ? AND authenticated = 1), 0)`,
+                [username, username, keep, username]
+            );
+            return result.changes;
+        },
+
+        // peerid_history is append-only and outlives the identity
+        async deleteIdentity(username) {
+            await run('DELETE FROM identity_backups WHERE username = ?', [username]);
+            const result = await run('DELETE FROM identities WHERE username = ?', [username]);
+            return result.changes;
+        },
+
+        async setPresenceVisibility(username, visibility) {
+            const result = await run('UPDATE identities SET presence_visibility = ? WHERE username = ?', [visibility, username]);
+            return result.changes;
+        },
+
+        async listIdentities() {
+            return all('SELECT username, peer_id, display_name, timestamp FROM identities');
+        },
+
+        // ---------- PeerId History ----------
+
+        // Returns false when another writer already took this seq
+        async addPeerIdHistory({ usernameHash, displayName, oldPeerId, newPeerId, publicKey, source, timestamp, seq, prevHash, entryHash }) {
+            const result = await run(
+                `INSERT INTO peerid_history (username_hash, display_name, old_peer_id, new_peer_id, public_key, source, timestamp, seq, prev_hash, entry_hash)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?) ON CONFLICT (username_hash, seq) DO NOTHING`,
+                [usernameHash, displayName, oldPeerId, newPeerId, publicKey, source, timestamp, seq, prevHash, entryHash]
+            );
+            return result.changes > 0;
+        },
+
+        async getPeerIdHistoryHead(username) {
+            return get('SELECT * FROM peerid_history WHERE username_hash = ? ORDER BY seq DESC LIMIT 1', [username]);
+        },
+
+        async listIdentityHistory(username) {
+            return all('SELECT * FROM peerid_history WHERE username_hash = ? ORDER BY seq ASC', [username]);
+        },
+
+        async listPeerIdHistory(limit) {
+            return all('SELECT * FROM peerid_history ORDER BY timestamp DESC LIMIT ?', [limit]);
+        },
+
+        // ---------- Admin Audit ----------
+
+        async addAuditEntry({ action, target, actor, detail, timestamp }) {
+            await run(
+                'INSERT INTO admin_audit (action, target, actor, detail, timestamp) VALUES (?, ?, ?, ?, ?)',
+                [action, target, actor, detail, timestamp]
+            );
+        },
+
+        async listAuditEntries(limit) {
+            return all('SELECT * FROM admin_audit ORDER BY id DESC LIMIT ?', [limit]);
+        }
+    };
+}
+
+module.exports = { createSqliteStorage };
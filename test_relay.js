@@ -0,0 +1,885 @@
+// End-to-end relay tests: every relay is a real createRelay() listening on a
+// free port, backed by in-memory SQLite. Run with `npm test`.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { io } = require('socket.io-client');
+const { createRelay } = require('./index.js');
+const { createStorage } = require('./storage');
+const { latestVersion } = require('./storage/migrate');
+const { createMemoryBus } = require('./lib/bus');
+const { createLocalAdapter } = require('./lib/push');
+const { challengeMessage } = require('./lib/auth');
+const { rotationMessage, backupMessage, verifyChain } = require('./lib/identitylog');
+
+// ---------- Helpers ----------
+
+// Starts a relay; env is applied while it is created (settings read at startup)
+async function startRelay(options = {}, env = {}) {
+    const saved = {};
+    for (const [name, value] of Object.entries(env)) {
+        saved[name] = process.env[name];
+        process.env[name] = value;
+    }
+    let relay;
+    try {
+        relay = createRelay({ storage: createStorage({ driver: 'sqlite' }), port: 0, rateLimits: false, ...options });
+    } finally {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    }
+    const port = await relay.start();
+    return { relay, port, base: `http://localhost:${port}` };
+}
+
+async function call(base, method, path, body, headers = {}) {
+    const res = await fetch(`${base}${path}`, {
+        method,
+        headers: { ...(body === undefined ? {} : { 'Content-Type': 'application/json' }), ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+        json = JSON.parse(text);
+    } catch (err) {
+        // not JSON
+    }
+    return { status: res.status, body: json };
+}
+
+const bearer = token => ({ Authorization: `Bearer ${token}` });
+
+function keyPair() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    return {
+        publicKey: publicKey.export({ type: 'spki', format: 'der' }).subarray(12).toString('base64'),
+        sign: message => crypto.sign(null, message, privateKey).toString('base64')
+    };
+}
+
+// A libp2p Ed25519 peerId ("12D3KooW...") and its signer
+function libp2pPeer() {
+    const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const proto = Buffer.concat([Buffer.from([0x08, 0x01, 0x12, 0x20]), publicKey.export({ type: 'spki', format: 'der' }).subarray(12)]);
+    let n = BigInt('0x' + Buffer.concat([Buffer.from([0x00, proto.length]), proto]).toString('hex'));
+    let peerId = '';
+    while (n > 0n) {
+        peerId = BASE58[Number(n % 58n)] + peerId;
+        n /= 58n;
+    }
+    return { peerId: '1' + peerId, sign: message => crypto.sign(null, message, privateKey).toString('base64') };
+}
+
+async function register(base, username, key, extra = {}) {
+    const res = await call(base, 'POST', '/identity', {
+        username, blob: `blob-${username}`, publicKey: key.publicKey,
+        backupSignature: key.sign(backupMessage(username, 0, `blob-${username}`, extra.displayName)), ...extra
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res.body;
+}
+
+async function signIn(base, hash, key) {
+    const challenge = await call(base, 'POST', '/auth/challenge', { hash });
+    const session = await call(base, 'POST', '/auth/verify', {
+        hash, nonce: challenge.body.nonce, signature: key.sign(challengeMessage(hash, challenge.body.nonce))
+    });
+    assert.equal(session.status, 200, JSON.stringify(session.body));
+    return session.body.token;
+}
+
+async function connect(base, join) {
+    const socket = io(base, { transports: ['websocket'], reconnection: false });
+    await new Promise((resolve, reject) => {
+        socket.once('connect', resolve);
+        socket.once('connect_error', reject);
+    });
+    if (join) {
+        socket.emit('join', join);
+        await sleep(100);
+    }
+    return socket;
+}
+
+function next(socket, event, timeoutMs = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`no '${event}' within ${timeoutMs}ms`)), timeoutMs);
+        socket.once(event, payload => {
+            clearTimeout(timer);
+            resolve(payload);
+        });
+    });
+}
+
+const ask = (socket, event, payload) => new Promise(resolve => socket.emit(event, payload, resolve));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function until(check, timeoutMs = 3000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        if (await check()) return true;
+        await sleep(50);
+    }
+    return false;
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer().listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        }).on('error', reject);
+    });
+}
+
+// ---------- Mailbox auth ----------
+
+test('a keyed mailbox opens only with a signed challenge session', async () => {
+    const { relay, base } = await startRelay();
+    try {
+        const key = keyPair();
+        await register(base, 'alice', key);
+        await call(base, 'POST', '/send', { toHash: 'alice', id: 'auth-1', data: 'ciphertext' });
+
+        assert.equal((await call(base, 'GET', '/inbox/hash/alice')).status, 401);
+        assert.equal((await call(base, 'POST', '/auth/challenge', { hash: 'not a hash!' })).status, 400);
+
+        const challenge = await call(base, 'POST', '/auth/challenge', { hash: 'alice' });
+        const forged = await call(base, 'POST', '/auth/verify', {
+            hash: 'alice', nonce: challenge.body.nonce, signature: keyPair().sign(challengeMessage('alice', challenge.body.nonce))
+        });
+        assert.equal(forged.status, 401);
+        // The nonce was used up by the failed attempt
+        const replay = await call(base, 'POST', '/auth/verify', {
+            hash: 'alice', nonce: challenge.body.nonce, signature: key.sign(challengeMessage('alice', challenge.body.nonce))
+        });
+        assert.equal(replay.status, 401);
+
+        const token = await signIn(base, 'alice', key);
+        const inbox = await call(base, 'GET', '/inbox/hash/alice', undefined, bearer(token));
+        assert.equal(inbox.status, 200);
+        assert.deepEqual(inbox.body.map(m => m.id), ['auth-1']);
+    } finally {
+        await relay.stop();
+    }
+});
+
+test('joining again under another key drops the socket\'s old presence', async () => {
+    const { relay, base } = await startRelay();
+    const device = await connect(base, 'rejoin-first');
+    const watcher = await connect(base);
+    try {
+        assert.equal((await ask(watcher, 'check-status', 'rejoin-first')).isOnline, true);
+        device.emit('join', 'rejoin-second');
+        await sleep(100);
+        assert.equal((await ask(watcher, 'check-status', 'rejoin-first')).isOnline, false);
+        assert.equal((await ask(watcher, 'check-status', 'rejoin-second')).isOnline, true);
+    } finally {
+        device.close();
+        watcher.close();
+        await relay.stop();
+    }
+});
+
+test('sessions issued by one relay are accepted by another sharing its storage', async () => {
+    const storage = createStorage({ driver: 'sqlite' });
+    const bus = createMemoryBus();
+    await bus.start();
+    const a = await startRelay({ storage, bus });
+    const b = await startRelay({ storage, bus });
+    try {
+        const key = keyPair();
+        await register(a.base, 'shared', key);
+        const challenge = await call(a.base, 'POST', '/auth/challenge', { hash: 'shared' });
+        const session = await call(b.base, 'POST', '/auth/verify', {
+            hash: 'shared', nonce: challenge.body.nonce, signature: key.sign(challengeMessage('shared', challenge.body.nonce))
+        });
+        assert.equal(session.status, 200);
+        assert.equal((await call(a.base, 'GET', '/inbox/hash/shared', undefined, bearer(session.body.token))).status, 200);
+    } finally {
+        await a.relay.stop();
+        await b.relay.stop();
+        await bus.close();
+        await storage.close();
+    }
+});
+
+// ---------- Identity ----------
+
+test('a key on an existing identity needs its current peerId, or a pinned admin reset', async () => {
+    const { relay, base } = await startRelay({ adminToken: 'admin' });
+    try {
+        const owner = libp2pPeer();
+        assert.equal((await call(base, 'POST', '/identity', { username: 'legacy', blob: 'b', peerId: owner.peerId })).status, 200);
+
+        const intruder = keyPair();
+        const claim = await call(base, 'POST', '/identity', { username: 'legacy', blob: 'b', publicKey: intruder.publicKey });
+        assert.equal(claim.status, 401);
+        const hijack = await call(base, 'POST', '/identity', { username: 'legacy', blob: 'b', publicKey: intruder.publicKey, peerId: 'QmIntruder' });
+        assert.equal(hijack.status, 401);
+
+        // A fresh identity can't bind its key to someone else's peerId, or share it at all
+        const squat = await call(base, 'POST', '/identity', { username: 'squatter', blob: 'b', publicKey: intruder.publicKey, peerId: owner.peerId });
+        assert.equal(squat.status, 401);
+        assert.equal((await call(base, 'POST', '/identity', { username: 'squatter', blob: 'b', peerId: owner.peerId })).status, 409);
+        const own = libp2pPeer();
+        const bound = await call(base, 'POST', '/identity', {
+            username: 'squatter', blob: 'b', publicKey: intruder.publicKey, peerId: own.peerId,
+            peerSignature: own.sign(rotationMessage('squatter', own.peerId, intruder.publicKey, null))
+        });
+        assert.equal(bound.status, 200, JSON.stringify(bound.body));
+
+        const key = keyPair();
+        const head = (await call(base, 'GET', '/identity/legacy/history')).body.head;
+        const signed = await call(base, 'POST', '/identity', {
+            username: 'legacy', blob: 'b', publicKey: key.publicKey,
+            peerSignature: owner.sign(rotationMessage('legacy', owner.peerId, key.publicKey, head))
+        });
+        assert.equal(signed.status, 200, JSON.stringify(signed.body));
+
+        // Lost key: the operator pins the replacement, nobody else can take the identity
+        const replacement = keyPair();
+        assert.equal((await call(base, 'POST', '/admin/identities/legacy/reset-key', {}, bearer('admin'))).status, 400);
+        assert.equal((await call(base, 'POST', '/admin/identities/legacy/reset-key', { publicKey: replacement.publicKey }, bearer('admin'))).status, 200);
+        assert.equal((await call(base, 'POST', '/identity', { username: 'legacy', blob: 'b', publicKey: intruder.publicKey })).status, 401);
+        assert.equal((await call(base, 'POST', '/identity', { username: 'legacy', blob: 'b', publicKey: replacement.publicKey })).status, 401);
+        // The recovering device signs with the peerId it comes back with
+        const device = libp2pPeer();
+        const resetHead = (await call(base, 'GET', '/identity/legacy/history')).body.head;
+        const recovered = await call(base, 'POST', '/identity', {
+            username: 'legacy', blob: 'b', publicKey: replacement.publicKey, peerId: device.peerId,
+            peerSignature: device.sign(rotationMessage('legacy', device.peerId, replacement.publicKey, resetHead))
+        });
+        assert.equal(recovered.status, 200, JSON.stringify(recovered.body));
+
+        const history = (await call(base, 'GET', '/identity/legacy/history')).body;
+        assert.equal(history.intact, true);
+        assert.deepEqual(history.entries.map(e => e.source), ['FIRST_REGISTRATION', 'KEY_REGISTERED', 'KEY_RESET', 'RECOVERY']);
+    } finally {
+        await relay.stop();
+    }
+});
+
+test('signed peerId rotations extend a hash chain clients can verify', async () => {
+    const { relay, base } = await startRelay();
+    try {
+        const key = keyPair();
+        await register(base, 'chain', key);
+        const rotate = async (peer, head) => {
+            const message = rotationMessage('chain', peer.peerId, key.publicKey, head);
+            return call(base, 'POST', '/identity', {
+                username: 'chain', blob: 'blob-chain', peerId: peer.peerId,
+                signature: key.sign(message), peerSignature: peer.sign(message)
+            });
+        };
+
+        const first = libp2pPeer();
+        const unsigned = await call(base, 'POST', '/identity', { username: 'chain', blob: 'blob-chain', peerId: first.peerId });
+        assert.equal(unsigned.status, 401);
+        const head1 = unsigned.body.head;
+        assert.equal((await rotate(first, head1)).status, 200);
+        const second = libp2pPeer();
+        const moved = await rotate(second, (await call(base, 'GET', '/identity/chain/history')).body.head);
+        assert.equal(moved.status, 200);
+        // A signature is bound to the head it was made against
+        assert.equal((await rotate(first, head1)).status, 401);
+
+        const history = (await call(base, 'GET', '/identity/chain/history')).body;
+        assert.equal(history.intact, true);
+        assert.equal(history.head, moved.body.head);
+        assert.deepEqual(history.entries.map(e => [e.source, e.newPeerId]), [
+            ['FIRST_REGISTRATION', null], ['PEERID_CHANGE', first.peerId], ['PEERID_CHANGE', second.peerId]
+        ]);
+        assert.equal(verifyChain(history.entries), true);
+        history.entries[1].newPeerId = 'QmSwapped';
+        assert.equal(verifyChain(history.entries), false);
+    } finally {
+        await relay.stop();
+    }
+});
+
+test('identity backups are versioned and only the key holder replaces a keyed one', async () => {
+    const { relay, base } = await startRelay();
+    try {
+        const key = keyPair();
+        await register(base, 'backup', key, { baseVersion: 0 });
+        const stale = await call(base, 'POST', '/identity', { username: 'backup', blob: 'other', baseVersion: 0 });
+        assert.equal(stale.status, 409);
+        assert.equal(stale.body.version, 1);
+
+        assert.equal((await call(base, 'POST', '/identity', { username: 'backup', blob: 'garbage', baseVersion: 1 })).status, 401);
+        const signed = await call(base, 'POST', '/identity', {
+            username: 'backup', blob: 'v2', baseVersion: 1, backupSignature: key.sign(backupMessage('backup', 1, 'v2'))
+        });
+        assert.equal(signed.status, 200);
+        const token = await signIn(base, 'backup', key);
+        assert.equal((await call(base, 'POST', '/identity', { username: 'backup', blob: 'v3' }, bearer(token))).status, 200);
+
+        const recovered = await call(base, 'POST', '/identity/recover', { hashKey: 'backup' });
+        assert.equal(recovered.body.blob, 'v3');
+        assert.deepEqual(recovered.body.versions.map(v => v.version), [3, 2, 1]);
+        assert.ok(recovered.body.versions.every(v => v.authenticated));
+        assert.equal((await call(base, 'POST', '/identity/recover', { hashKey: 'backup', version: 2 })).body.blob, 'v2');
+
+        // The displayName is part of the record: signed like the blob, and a new version
+        assert.equal((await call(base, 'POST', '/identity', { username: 'backup', blob: 'v3', displayName: 'Mallory' })).status, 401);
+        const rename = { username: 'backup', blob: 'v3', displayName: 'Alice', backupSignature: key.sign(backupMessage('backup', 3, 'v3', 'Alice')) };
+        const renamed = await call(base, 'POST', '/identity', rename);
+        assert.equal(renamed.status, 200);
+        assert.equal(renamed.body.version, 4);
+        await call(base, 'POST', '/identity', { username: 'backup', blob: 'v3', displayName: 'Bob' }, bearer(token));
+        assert.equal((await call(base, 'POST', '/identity', rename)).status, 401);
+        assert.equal((await call(base, 'POST', '/identity/recover', { hashKey: 'backup' })).body.displayName, 'Bob');
+    } finally {
+        await relay.stop();
+    }
+});
+
+// ---------- Messaging ----------
+
+test('send validates data and enforces the mailbox quota', async () => {
+    const { relay, base } = await startRelay({}, { MAILBOX_MAX_MESSAGES: '2' });
+    try {
+        assert.equal((await call(base, 'POST', '/send', { toHash: 'quota', id: 'q0', data: { not: 'a string' } })).status, 400);
+        assert.equal((await call(base, 'POST', '/send', { toHash: 'quota', id: 'q1', data: 'one' })).status, 200);
+        assert.equal((await call(base, 'POST', '/send', { toHash: 'quota', id: 'q2', data: 'two' })).status, 200);
+        const full = await call(base, 'POST', '/send', { toHash: 'quota', id: 'q3', data: 'three' });
+        assert.equal(full.status, 507);
+        assert.equal(full.body.quota.messages, 2);
+    } finally {
+        await relay.stop();
+    }
+});
+
+test('message TTLs default, are capped, and expire at read time before any sweep', async () => {
+    const { relay, base } = await startRelay(
+        { retention: { defaultTtl: 60, maxTtl: 120, sweepMs: 60 * 60 * 1000 } },
+        { MAILBOX_MAX_MESSAGES: '3' }
+    );
+    try {
+        assert.equal((await call(base, 'POST', '/send', { toHash: 'ttl', id: 't0', data: 'x', ttl: -5 })).status, 400);
+
+        const before = Date.now();
+        const plain = await call(base, 'POST', '/send', { toHash: 'ttl', id: 't1', data: 'default' });
+        assert.ok(Math.abs(plain.body.expiresAt - (before + 60 * 1000)) < 1000);
+        const long = await call(base, 'POST', '/send', { toHash: 'ttl', id: 't2', data: 'capped', ttl: 365 * 24 * 3600 });
+        assert.ok(Math.abs(long.body.expiresAt - (before + 120 * 1000)) < 1000);
+
+        await call(base, 'POST', '/send', { toHash: 'ttl', id: 't3', data: 'short', ttl: 0.2 });
+        assert.equal((await call(base, 'POST', '/send', { toHash: 'ttl', id: 't4', data: 'full' })).status, 507);
+        await sleep(300);
+
+        // Gone from the inbox and from the quota while the row still waits for the sweep
+        assert.deepEqual((await call(base, 'GET', '/inbox/hash/ttl')).body.map(m => m.id).sort(), ['t1', 't2']);
+        assert.equal((await call(base, 'POST', '/send', { toHash: 'ttl', id: 't4', data: 'fits' })).status, 200);
+    } finally {
+        await relay.stop();
+    }
+});
+
+test('a sender recalls or replaces a queued message with its sender token', async () => {
+    const { relay, base } = await startRelay();
+    try {
+        const sent = await call(base, 'POST', '/send', { toHash: 'recall', id: 'r1', data: 'first' });
+        // A reused id neither overwrites the message nor hands out a second token
+        const again = await call(base, 'POST', '/send', { toHash: 'recall', id: 'r1', data: 'impostor' });
+        assert.equal(again.status, 409);
+        assert.equal(again.body.senderToken, undefined);
+        assert.equal((await call(base, 'GET', '/inbox/hash/recall')).body[0].data, 'first');
+        assert.equal((await call(base, 'PUT', '/send/r1', { data: 'edited' }, bearer('wrong'))).status, 401);
+        assert.equal((await call(base, 'PUT', '/send/r1', { data: 'edited' }, bearer(sent.body.senderToken))).body.replaced, 1);
+        assert.equal((await call(base, 'GET', '/inbox/hash/recall')).body[0].data, 'edited');
+
+        assert.equal((await call(base, 'DELETE', '/send/r1', undefined, bearer(sent.body.senderToken))).body.recalled, 1);
+        assert.deepEqual((await call(base, 'GET', '/inbox/hash/recall')).body, []);
+        assert.equal((await call(base, 'DELETE', '/send/r1', undefined, bearer(sent.body.senderToken))).status, 404);
+    } finally {
+        await relay.stop();
+    }
+});
+
+test('unacked pushes are redelivered and the first ack sends the sender a receipt', async () => {
+    const { relay, base } = await startRelay({}, { REDELIVERY_BASE_MS: '100' });
+    const bob = await connect(base, { mobileHash: 'receipt-bob' });
+    const alice = await connect(base, { mobileHash: 'receipt-alice' });
+    try {
+        const key = keyPair();
+        await register(base, 'receipt-keyed', key);
+        const unauthorized = await call(base, 'POST', '/send', { toHash: 'receipt-bob', id: 'rc0', data: 'x', receiptTo: 'receipt-keyed' });
+        assert.equal(unauthorized.status, 401);
+
+        const first = next(bob, 'relay-message');
+        await call(base, 'POST', '/send', { toHash: 'receipt-bob', id: 'rc1', data: 'hello', receiptTo: 'receipt-alice' });
+        assert.equal((await first).id, 'rc1');
+        // Not acked: the push comes again
+        assert.equal((await next(bob, 'relay-message')).id, 'rc1');
+
+        const receipt = next(alice, 'delivery-receipt');
+        assert.deepEqual((await ask(bob, 'ack', 'rc1')).acked, ['rc1']);
+        const { id, messageId, deliveredAt } = await receipt;
+        assert.equal(messageId, 'rc1');
+        assert.ok(deliveredAt > 0);
+
+        // The receipt is queued like any message until the sender acks it
+        assert.deepEqual((await call(base, 'GET', '/inbox/hash/receipt-alice')).body.map(m => m.kind), ['receipt']);
+        await ask(alice, 'ack', id);
+        assert.deepEqual((await call(base, 'GET', '/inbox/hash/receipt-alice')).body, []);
+    } finally {
+        bob.close();
+        alice.close();
+        await relay.stop();
+    }
+});
+
+test('a message stays queued until every device of the mailbox acked it', async () => {
+    const { relay, base } = await startRelay();
+    const phone = await connect(base, { mobileHash: 'multi', deviceId: 'phone' });
+    const laptop = await connect(base, { mobileHash: 'multi', deviceId: 'laptop' });
+    try {
+        const onPhone = next(phone, 'relay-message');
+        const onLaptop = next(laptop, 'relay-message');
+        await call(base, 'POST', '/send', { toHash: 'multi', id: 'm1', data: 'hello' });
+        assert.equal((await onPhone).id, 'm1');
+        assert.equal((await onLaptop).id, 'm1');
+
+        assert.deepEqual((await ask(phone, 'ack', 'm1')).acked, ['m1']);
+        assert.deepEqual((await call(base, 'GET', '/inbox/hash/multi?deviceId=phone')).body, []);
+        assert.equal((await call(base, 'GET', '/inbox/hash/multi?deviceId=laptop')).body.length, 1);
+
+        await ask(laptop, 'ack', { ids: ['m1'] });
+        assert.deepEqual((await call(base, 'GET', '/inbox/hash/multi')).body, []);
+    } finally {
+        phone.close();
+        laptop.close();
+        await relay.stop();
+    }
+});
+
+test('admin routes need the admin token and every action lands in the audit log', async () => {
+    const open = await startRelay();
+    try {
+        assert.equal((await call(open.base, 'GET', '/admin/identities')).status, 404);
+        assert.equal((await call(open.base, 'GET', '/debug/users')).status, 404);
+    } finally {
+        await open.relay.stop();
+    }
+
+    const { relay, base } = await startRelay({ adminToken: 'admin' });
+    try {
+        assert.equal((await call(base, 'GET', '/admin/identities')).status, 401);
+        assert.equal((await call(base, 'GET', '/admin/identities', undefined, bearer('wrong'))).status, 401);
+
+        await call(base, 'POST', '/send', { toHash: 'admin-box', id: 'a1', data: 'x' });
+        await call(base, 'POST', '/send', { toHash: 'admin-box', id: 'a2', data: 'y' });
+        assert.equal((await call(base, 'GET', '/admin/messages', undefined, bearer('admin'))).body.count, 2);
+        // Destructive actions are POST only
+        assert.equal((await call(base, 'GET', '/admin/mailboxes/admin-box/flush', undefined, bearer('admin'))).status, 404);
+        const flushed = await call(base, 'POST', '/admin/mailboxes/admin-box/flush', {}, bearer('admin'));
+        assert.deepEqual(flushed.body, { success: true, removed: 2 });
+        assert.deepEqual((await call(base, 'GET', '/inbox/hash/admin-box')).body, []);
+
+        const audit = (await call(base, 'GET', '/admin/audit', undefined, bearer('admin'))).body.entries;
+        const flush = audit.find(e => e.action === 'flush-mailbox');
+        assert.equal(flush.target, 'admin-box');
+        assert.deepEqual(flush.detail, { removed: 2 });
+        assert.ok(audit.some(e => e.action === 'list-messages'));
+    } finally {
+        await relay.stop();
+    }
+});
+
+test('/metrics exposes delivery, queue and per-route storage metrics', async () => {
+    const { relay, base } = await startRelay();
+    const scrape = async (headers = {}) => {
+        const res = await fetch(`${base}/metrics`, { headers });
+        return { status: res.status, text: await res.text() };
+    };
+    try {
+        await call(base, 'POST', '/send', { toHash: 'metrics', id: 'mx1', data: 'x' });
+        const { status, text } = await scrape();
+        assert.equal(status, 200);
+        assert.match(text, /^relay_messages_stored_total\{kind="message"\} 1$/m);
+        assert.match(text, /^relay_messages_queued_total 1$/m);
+        assert.match(text, /^relay_queue_depth 1$/m);
+        assert.match(text, /^relay_db_query_duration_seconds_count\{route="\/send",operation="saveMessage"\} 1$/m);
+
+        process.env.METRICS_TOKEN = 'scrape';
+        assert.equal((await scrape()).status, 401);
+        assert.equal((await scrape(bearer('scrape'))).status, 200);
+    } finally {
+        delete process.env.METRICS_TOKEN;
+        await relay.stop();
+    }
+});
+
+test('rate limits answer 429 per IP, including socket events before join', async () => {
+    const { relay, base } = await startRelay({
+        rateLimits: { send: { ip: { capacity: 2, perMinute: 1 } }, challenge: { ip: { capacity: 1, perMinute: 1 } } }
+    });
+    const socket = await connect(base);
+    try {
+        assert.equal((await call(base, 'POST', '/send', { toHash: 'rl', id: 'rl1', data: 'x' })).status, 200);
+        assert.equal((await call(base, 'POST', '/send', { toHash: 'rl', id: 'rl2', data: 'x' })).status, 200);
+        const limited = await call(base, 'POST', '/send', { toHash: 'rl', id: 'rl3', data: 'x' });
+        assert.equal(limited.status, 429);
+        assert.ok(limited.body.retryAfter > 0);
+
+        assert.ok((await ask(socket, 'auth-challenge', 'rl')).nonce);
+        // A second socket from the same address shares the bucket
+        const other = await connect(base);
+        assert.equal((await ask(other, 'auth-challenge', 'rl')).error, "Too many requests");
+        other.close();
+    } finally {
+        socket.close();
+        await relay.stop();
+    }
+});
+
+test('per-identity limits follow the caller, per-recipient caps everyone together', async () => {
+    const { relay, base } = await startRelay({
+        rateLimits: {
+            identity: { identity: { capacity: 1, perMinute: 1 } },
+            send: { recipient: { capacity: 2, perMinute: 1 } }
+        }
+    });
+    const from = i => ({ 'X-Forwarded-For': `198.51.100.${i}` });
+    try {
+        // Strangers can't use up the owner's budget by naming their username
+        for (let i = 1; i <= 3; i++) {
+            const res = await call(base, 'POST', '/identity', { username: 'rl-target', blob: `b${i}` }, from(i));
+            assert.notEqual(res.status, 429);
+        }
+        const key = keyPair();
+        await register(base, 'rl-owner', key);
+        const token = await signIn(base, 'rl-owner', key);
+        const owner = { ...bearer(token), ...from(10) };
+        assert.equal((await call(base, 'POST', '/identity/presence', { username: 'rl-owner', visibility: 'online' }, owner)).status, 200);
+        assert.equal((await call(base, 'POST', '/identity/presence', { username: 'rl-owner', visibility: 'online' }, owner)).status, 429);
+
+        assert.equal((await call(base, 'POST', '/send', { toHash: 'rl-inbox', id: 'rc1', data: 'x' }, from(20))).status, 200);
+        assert.equal((await call(base, 'POST', '/send', { toHash: 'rl-inbox', id: 'rc2', data: 'x' }, from(21))).status, 200);
+        assert.equal((await call(base, 'POST', '/send', { toHash: 'rl-inbox', id: 'rc3', data: 'x' }, from(22))).status, 429);
+        assert.equal((await call(base, 'POST', '/send', { toHash: 'rl-other', id: 'rc4', data: 'x' }, from(22))).status, 200);
+    } finally {
+        await relay.stop();
+    }
+});
+
+test('signal and typing ignore missing or malformed payloads', async () => {
+    const { relay, base } = await startRelay();
+    const socket = await connect(base, 'malformed-peer');
+    try {
+        socket.emit('signal');
+        socket.emit('typing', null);
+        socket.emit('signal', { to: { $ne: null }, data: 'x' });
+        socket.emit('typing', { to: 42, isTyping: true });
+        assert.ok((await ask(socket, 'auth-challenge', 'still-up')).nonce);
+    } finally {
+        socket.close();
+        await relay.stop();
+    }
+});
+
+test('npm run migrate applies pending migrations once and --dry-run only lists them', async () => {
+    const file = path.join(os.tmpdir(), `relay-migrate-${process.pid}.db`);
+    const migrate = (...args) => execFileSync(process.execPath, [path.join(__dirname, 'scripts/migrate.js'), ...args], {
+        env: { ...process.env, STORAGE: 'sqlite', SQLITE_FILE: file },
+        encoding: 'utf8'
+    });
+    const latest = latestVersion();
+    try {
+        const plan = migrate('--dry-run');
+        assert.match(plan, /\[dry-run\] 1: initial schema/);
+        assert.match(plan, new RegExp(`version 0, ${latest} pending \\(latest ${latest}\\)`));
+        // Nothing was applied
+        assert.match(migrate('--dry-run'), new RegExp(`version 0, ${latest} pending`));
+
+        assert.match(migrate(), new RegExp(`migrated 0 -> ${latest}$`, 'm'));
+        assert.match(migrate(), new RegExp(`migrated ${latest} -> ${latest}$`, 'm'));
+        assert.match(migrate('--dry-run'), new RegExp(`Schema is up to date \\(version ${latest}\\)`));
+    } finally {
+        fs.rmSync(file, { force: true });
+    }
+});
+
+test('group sends give every other member their own copy', async () => {
+    const { relay, base } = await startRelay();
+    try {
+        const keys = { owner: keyPair(), member: keyPair() };
+        await register(base, 'g-owner', keys.owner);
+        await register(base, 'g-member', keys.member);
+        const token = await signIn(base, 'g-owner', keys.owner);
+
+        const group = await call(base, 'POST', '/groups', { members: ['g-member'] }, bearer(token));
+        assert.equal(group.status, 200);
+        assert.equal((await call(base, 'POST', '/send', { toGroup: group.body.groupId, id: 'g1', data: 'hi all' })).status, 401);
+
+        const sent = await call(base, 'POST', '/send', { toGroup: group.body.groupId, id: 'g1', data: 'hi all' }, bearer(token));
+        assert.equal(sent.body.recipients, 1);
+        const inbox = await call(base, 'GET', '/inbox/hash/g-member', undefined, bearer(await signIn(base, 'g-member', keys.member)));
+        assert.deepEqual(inbox.body.map(m => [m.id, m.group_id]), [['g1:g-member', group.body.groupId]]);
+    } finally {
+        await relay.stop();
+    }
+});
+
+// ---------- Attachments ----------
+
+test('presence subscriptions push changes and respect each mailbox\'s visibility', async () => {
+    const { relay, base } = await startRelay({}, { PRESENCE_MAX_SUBSCRIPTIONS: '3' });
+    const watcher = await connect(base);
+    try {
+        for (const [username, visibility] of [['pres-open', 'everyone'], ['pres-online', 'online'], ['pres-hidden', 'nobody']]) {
+            await call(base, 'POST', '/identity', { username, blob: 'b' });
+            assert.equal((await call(base, 'POST', '/identity/presence', { username, visibility })).status, 200);
+        }
+        assert.equal((await call(base, 'POST', '/identity/presence', { username: 'pres-open', visibility: 'friends' })).status, 400);
+
+        const subscribed = await ask(watcher, 'subscribe-presence', ['pres-open', 'pres-online', 'pres-hidden']);
+        assert.deepEqual(subscribed.presence, [
+            { key: 'pres-open', online: false, lastSeen: null },
+            { key: 'pres-online', online: false, lastSeen: null },
+            { key: 'pres-hidden', online: null, lastSeen: null }
+        ]);
+        assert.match((await ask(watcher, 'subscribe-presence', ['pres-fourth'])).error, /limit is 3/);
+
+        // Each goes online and then offline; the hidden one never shows up
+        const updates = [];
+        watcher.on('presence', update => updates.push(update));
+        for (const mobileHash of ['pres-hidden', 'pres-online', 'pres-open']) {
+            const device = await connect(base, { mobileHash });
+            device.close();
+        }
+        await until(() => updates.length === 4);
+        await sleep(100);
+        assert.deepEqual(updates.map(u => [u.key, u.online]), [
+            ['pres-online', true], ['pres-online', false], ['pres-open', true], ['pres-open', false]
+        ]);
+        assert.equal(updates[1].lastSeen, null);
+        assert.ok(updates[3].lastSeen > 0);
+        assert.equal((await ask(watcher, 'check-status', 'pres-hidden')).isOnline, false);
+    } finally {
+        watcher.close();
+        await relay.stop();
+    }
+});
+
+test('attachments upload in chunks, download by range and count against the quota', async () => {
+    const { relay, base } = await startRelay({}, { ATTACHMENT_QUOTA_BYTES: '16' });
+    try {
+        const created = await call(base, 'POST', '/attachments', { size: 10 });
+        assert.equal(created.status, 200);
+        const { id, uploadToken } = created.body;
+
+        const put = (offset, bytes, token = uploadToken) => fetch(`${base}/attachments/${id}`, {
+            method: 'PUT', headers: { 'Upload-Offset': String(offset), ...bearer(token) }, body: Buffer.from(bytes)
+        });
+        assert.equal((await put(0, 'hello', 'wrong')).status, 401);
+        assert.equal((await put(0, 'hello')).status, 200);
+        assert.equal((await put(0, 'hello')).status, 409);
+        assert.equal((await put(5, 'world')).status, 200);
+
+        const ranged = await fetch(`${base}/attachments/${id}`, { headers: { Range: 'bytes=3-6' } });
+        assert.equal(ranged.status, 206);
+        assert.equal(await ranged.text(), 'lowo');
+
+        const over = await call(base, 'POST', '/attachments', { size: 10 });
+        assert.equal(over.status, 507);
+        assert.equal(over.body.quota.bytes, 10);
+        await call(base, 'DELETE', `/attachments/${id}`, undefined, bearer(uploadToken));
+        assert.equal((await call(base, 'POST', '/attachments', { size: 10 })).status, 200);
+    } finally {
+        await relay.stop();
+    }
+});
+
+// ---------- Calls ----------
+
+test('calls ring, connect and hide invitees whose presence is hidden', async () => {
+    const { relay, base } = await startRelay({}, { CALL_RING_TIMEOUT_MS: '300' });
+    const alice = await connect(base, 'call-alice');
+    const bob = await connect(base, 'call-bob');
+    try {
+        const ring = next(bob, 'call-ring');
+        const invite = await ask(alice, 'call-invite', { to: 'call-bob', data: 'offer' });
+        assert.deepEqual(invite.invited, [{ key: 'call-bob', status: 'ringing' }]);
+        assert.equal((await ring).data, 'offer');
+
+        const answer = next(alice, 'call-signal');
+        assert.equal((await ask(bob, 'call-accept', { callId: invite.callId, data: 'answer' })).success, true);
+        assert.equal((await answer).data, 'answer');
+        assert.equal((await ask(bob, 'call-accept', { callId: 'no-such-call' })).error, "Unknown call");
+
+        const ended = next(alice, 'call-ended');
+        await ask(bob, 'call-hangup', { callId: invite.callId });
+        await ended;
+
+        // Offline and visible reads as offline; offline and hidden rings like anyone
+        await call(base, 'POST', '/identity', { username: 'call-ghost', blob: 'b' });
+        await call(base, 'POST', '/identity/presence', { username: 'call-ghost', visibility: 'nobody' });
+        const probe = await ask(alice, 'call-invite', { to: ['call-ghost', 'call-nobody-home'] });
+        assert.deepEqual(probe.invited, [{ key: 'call-ghost', status: 'ringing' }, { key: 'call-nobody-home', status: 'offline' }]);
+    } finally {
+        alice.close();
+        bob.close();
+        await relay.stop();
+    }
+});
+
+test('missed calls leave one notice per caller, for registered mailboxes only', async () => {
+    const { relay, base } = await startRelay();
+    const alice = await connect(base, 'missed-alice');
+    try {
+        await call(base, 'POST', '/identity', { username: 'missed-bob', blob: 'b' });
+        const first = await ask(alice, 'call-invite', { to: ['missed-bob', 'missed-stranger'] });
+        const second = await ask(alice, 'call-invite', { to: 'missed-bob' });
+        await sleep(100);
+
+        const notices = (await call(base, 'GET', '/inbox/hash/missed-bob')).body;
+        assert.equal(notices.length, 1);
+        assert.equal(notices[0].kind, 'missed-call');
+        assert.equal(JSON.parse(notices[0].data).callId, second.callId);
+        assert.notEqual(first.callId, second.callId);
+        assert.deepEqual((await call(base, 'GET', '/inbox/hash/missed-stranger')).body, []);
+    } finally {
+        alice.close();
+        await relay.stop();
+    }
+});
+
+test('call actions from another instance get the holding instance\'s answer', async () => {
+    const storage = createStorage({ driver: 'sqlite' });
+    const bus = createMemoryBus();
+    await bus.start();
+    const a = await startRelay({ storage, bus });
+    const b = await startRelay({ storage, bus });
+    const alice = await connect(a.base, 'cluster-alice');
+    const bob = await connect(b.base, 'cluster-bob');
+    try {
+        assert.ok(await until(async () => (await call(a.base, 'GET', '/health')).body.clusterInstances === 1));
+        const invite = await ask(alice, 'call-invite', { to: 'cluster-bob' });
+        assert.equal(invite.invited[0].status, 'ringing');
+
+        const accepted = await ask(bob, 'call-accept', { callId: invite.callId });
+        assert.deepEqual(accepted.participants.map(p => p.state), ['joined', 'joined']);
+        assert.equal((await ask(bob, 'call-accept', { callId: invite.callId })).error, "No pending invite for this call");
+        assert.equal((await ask(bob, 'call-hangup', { callId: 'unknown' })).error, "Unknown call");
+    } finally {
+        alice.close();
+        bob.close();
+        await a.relay.stop();
+        await b.relay.stop();
+        await bus.close();
+        await storage.close();
+    }
+});
+
+// ---------- Push ----------
+
+test('offline mailboxes with a key get a push wake-up', async () => {
+    const local = createLocalAdapter();
+    const { relay, base } = await startRelay({ push: { adapters: { local } } });
+    try {
+        assert.equal((await call(base, 'POST', '/push/keyless', { adapter: 'local', url: 'device-1' })).status, 401);
+
+        const key = keyPair();
+        await register(base, 'sleeper', key);
+        const token = await signIn(base, 'sleeper', key);
+        assert.equal((await call(base, 'POST', '/push/sleeper', { adapter: 'local', url: 'device-1' })).status, 401);
+        assert.equal((await call(base, 'POST', '/push/sleeper', { adapter: 'local', url: 'device-1' }, bearer(token))).status, 200);
+
+        await call(base, 'POST', '/send', { toHash: 'sleeper', id: 'p1', data: 'wake up' });
+        assert.ok(await until(() => local.sent.length === 1));
+        assert.equal(local.sent[0].target, 'device-1');
+    } finally {
+        await relay.stop();
+    }
+});
+
+// ---------- Federation ----------
+
+test('two federated relays forward mail and directory lookups', async () => {
+    const [portA, portB] = [await freePort(), await freePort()];
+    const keyA = crypto.generateKeyPairSync('ed25519');
+    const pinnedA = keyA.publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+    const a = await startRelay({
+        port: portA,
+        federation: { privateKey: keyA.privateKey.export({ type: 'pkcs8', format: 'pem' }), peers: `localhost:${portB}`, insecure: true }
+    });
+    // B pins A's key; A fetches B's from /federation/identity
+    const b = await startRelay({ port: portB, federation: { peers: new Map([[`localhost:${portA}`, pinnedA]]), insecure: true } });
+    try {
+        assert.equal((await call(a.base, 'GET', '/federation/identity')).body.domain, `localhost:${portA}`);
+        await call(b.base, 'POST', '/identity', { username: 'remote-bob', blob: 'b', peerId: 'QmRemoteBob', displayName: 'Bob' });
+
+        const lookup = await call(a.base, 'GET', `/directory/remote-bob@localhost:${portB}`);
+        assert.deepEqual(lookup.body, { found: true, peerId: 'QmRemoteBob', displayName: 'Bob', relay: `localhost:${portB}` });
+
+        const sent = await call(a.base, 'POST', '/send', { toHash: `remote-bob@localhost:${portB}`, id: 'fed-1', data: 'over the wire' });
+        assert.equal(sent.status, 200);
+        assert.equal(sent.body.forwarded, true);
+        assert.deepEqual((await call(b.base, 'GET', '/inbox/hash/remote-bob')).body.map(m => [m.id, m.data]), [['fed-1', 'over the wire']]);
+
+        assert.equal((await call(a.base, 'POST', '/send', { toHash: 'x@unknown.example', id: 'fed-2', data: 'x' })).status, 400);
+        const unsigned = await call(b.base, 'POST', '/federation/inbox', { id: 'fed-3', toHash: 'remote-bob', data: 'x' });
+        assert.equal(unsigned.status, 403);
+    } finally {
+        await a.relay.stop();
+        await b.relay.stop();
+    }
+});
+
+// ---------- Shutdown ----------
+
+test('contact discovery needs a session and charges each bucket to the caller', async () => {
+    const { relay, base } = await startRelay(
+        { rateLimits: { discover: { identity: { capacity: 4, perMinute: 1 } } } },
+        { DISCOVERY_MAX_PREFIXES: '3' }
+    );
+    try {
+        const key = keyPair();
+        await register(base, 'd1sc-seeker', key);
+        await register(base, 'd1sc-friend', keyPair(), { displayName: 'Friend' });
+        await register(base, 'zzzz-other', keyPair());
+        const auth = bearer(await signIn(base, 'd1sc-seeker', key));
+
+        assert.equal((await call(base, 'POST', '/directory/discover', { prefixes: ['d1sc'] })).status, 401);
+        assert.equal((await call(base, 'POST', '/directory/discover', { prefixes: ['d1s'] }, auth)).status, 400);
+        assert.equal((await call(base, 'POST', '/directory/discover', { prefixes: ['aaaa', 'bbbb', 'cccc', 'dddd'] }, auth)).status, 413);
+
+        const found = await call(base, 'POST', '/directory/discover', { prefixes: ['d1sc', 'yyyy'] }, auth);
+        assert.equal(found.status, 200);
+        assert.equal(found.body.prefixLength, 4);
+        assert.deepEqual(found.body.candidates.map(c => c.hash).sort(), ['d1sc-friend', 'd1sc-seeker']);
+        assert.equal(found.body.candidates.find(c => c.hash === 'd1sc-friend').displayName, 'Friend');
+
+        // Two buckets plus one token for each refused request: the mailbox is out of
+        // tokens, from any address
+        const limited = await call(base, 'POST', '/directory/discover', { prefixes: ['zzzz'] }, { ...auth, 'X-Forwarded-For': '203.0.113.9' });
+        assert.equal(limited.status, 429);
+    } finally {
+        await relay.stop();
+    }
+});
+
+test('stop tells connected clients to reconnect and closes the port', async () => {
+    const { relay, base } = await startRelay();
+    const socket = await connect(base, { mobileHash: 'leaving' });
+    try {
+        const notice = next(socket, 'relay-shutdown');
+        await relay.stop();
+        assert.deepEqual(await notice, { reconnect: true });
+        await assert.rejects(fetch(`${base}/health`));
+    } finally {
+        socket.close();
+    }
+});